@@ -7,25 +7,100 @@ class LevelEditor {
         this.ctx = this.canvas.getContext('2d');
 
         // State
+        this.stagingBase = null;
+        this.stagingLevels = new Map();  // levelId -> { id, image, json, world } from the staging manifest
+        this.stagingApi = false;         // Served by server.js, which lists and saves levels
+        this.stagingDir = null;          // Staging folder opened from disk (File System Access API)
+        this.storedStagingDir = null;    // Remembered folder handle that may still need permission
         this.image = null;
+        this.imageBlob = null;  // Original image file, kept for bundle export
         this.imageData = null;
-        this.silhouette = [];  // Array of normalized points
-        this.pieces = [];      // Array of { id, color, vertices, startPos }
+        this.silhouette = [];  // Array of normalized points (the main outline)
+        this.silhouetteLoops = []; // Further outlines: separate regions and holes, { points, hole }
+        this.pieces = [];      // Array of { id, color, vertices, startPos, startRotation?, correctRotation?, startPosLocked? }
         this.currentPiece = []; // Points being drawn
         this.currentTool = 'draw';
         this.currentColor = '#99CCFF';
         this.selectedPieceIndex = -1;
+        this.multiSelection = [];  // Piece objects added with Shift-click (for merging)
         this.backgroundTolerance = 50;
         this.useInteriorSampling = true;
+        this.traceAllRegions = false; // Keep every sizeable region instead of just the largest
+        this.traceHoles = false;      // Trace holes (background enclosed by the subject)
+        this.maskStrategy = 'background'; // background | alpha | otsu | hsv
+        this.alphaThreshold = 128;
+        this.hsvMinSaturation = 0.28;
+        this.hsvMinValue = 0.1;
+        this.hsvMaxValue = 0.98;
+        this.showMaskOverlay = false;
+        this.maskOverlay = null;      // { image, canvas } tinted preview of the subject mask
+        this.maskOverlayTimer = null;
+        this.otsuThreshold = null;    // Last threshold picked by the Otsu strategy
+        this.maskCleanup = { grow: 0, open: 0, close: 0, fillHoles: 0, minIsland: 0 }; // See MASK CLEANUP
+        this.simplifyMode = 'tolerance'; // tolerance | budget, see SIMPLIFICATION
+        this.simplifyTolerance = 0.0025;
+        this.maxPoints = 120;
+        this.smoothing = 'none';      // none | chaikin | spline
+        this.lastSimplifyTolerance = 0.0025;
+        this.lastTrace = null;        // { loops, signature } unsimplified outlines of the last trace
+        this.simplifyAdjusting = false;
+        this.traceResolution = 600;   // Longest side of the tracing grid in pixels, 0 = native size
+        this.traceWorker = null;      // See TRACE WORKER
+        this.traceWorkerUnavailable = false;
+        this.activeTrace = null;      // { id, resolve } while a trace is running
+        this.traceJobId = 0;
+        this.maskEdit = null;         // Brush-refined mask, see MASK REFINEMENT
+        this.maskUndo = [];           // Previous brush edits, newest last
+        this.maskRedo = [];           // Undone brush edits, newest last
+        this.maskStroke = null;       // { last } while a brush stroke is being painted
+        this.maskCursor = null;       // Canvas point of the brush outline
+        this.maskBrushMode = 'include'; // include | exclude | erase | magic
+        this.maskBrushRadius = 12;    // Canvas pixels
+        this.magicTolerance = 32;
         this.showFullImage = false;
         this.showScattered = false;
 
+        // Vertex editing
+        this.vertexDrag = null;    // { target, index, linked, moved } while dragging a handle
+        this.activeVertex = null;  // { target, index } last picked handle (Delete removes it)
+        this.hoverVertex = null;
+
+        // Scatter layout (drag start positions while the scatter preview is on)
+        this.scatterDrag = null;   // { index, offset, moved } while dragging a piece
+        this.rotationDrag = null;  // { index, moved } while dragging the rotate handle
+
+        // Play-test mode (simulates the puzzle with a copy of the pieces)
+        this.playMode = null;
+
+        // Named projects in IndexedDB
+        this.currentProject = null;    // { id, name, createdAt } of the open project
+        this.projectDbPromise = null;
+        this.projectSaveTimer = null;
+
+        // Knife tool
+        this.knifeLine = null;     // { start, end } normalized, while dragging a cut
+
+        // Win conditions written to the level JSON (and checked by the validator)
+        this.requiredCoverage = 0.95;
+        this.snapThreshold = 0.05;
+        this.validation = null;  // Last validateLevel() result, drawn on the canvas until the next edit
+
+        // Fields from an imported level JSON that the editor carries through unchanged
+        this.extraMetadata = {};
+        this.extraWinConditions = {};
+
+        // Seeded generation (splits + start positions)
+        this.generationSeed = null;  // Seed of the last auto-split, written to exported metadata
+        this.rng = this.createRng(this.randomSeed());
+
         // Touch support
         this.lastTapTime = 0;
 
-        // Undo history
+        // Undo/redo history
         this.history = [];
+        this.redoStack = [];
         this.maxHistory = 50;
+        this.historyBatchDepth = 0;
 
         // Canvas sizing
         this.canvasWidth = 600;
@@ -34,6 +109,17 @@ class LevelEditor {
         this.imageOffsetX = 0;
         this.imageOffsetY = 0;
 
+        // Viewport zoom/pan, applied on top of the fitted image transform
+        this.viewZoom = 1;
+        this.viewPanX = 0;
+        this.viewPanY = 0;
+        this.minZoom = 0.5;
+        this.maxZoom = 16;
+        this.panDrag = null;       // { startX, startY, panX, panY } while panning with space/middle drag
+        this.touchGesture = null;  // { baseX, baseY, startDist, startZoom } during pinch/two-finger pan
+        this.spaceDown = false;
+        this.suppressNextClick = false;
+
         this.init();
     }
 
@@ -43,8 +129,10 @@ class LevelEditor {
         this.setupMobileTabs();
         this.setupTouchEvents();
         this.setupResponsiveCanvas();
+        this.setupViewportControls();
         this.setupSmartFab();
-        this.loadFromLocalStorage(); // Restore previous session
+        this.restoreSession(); // Reopen the last project (or the legacy autosave)
+        this.updateHistoryButtons();
         this.render();
     }
 
@@ -55,11 +143,13 @@ class LevelEditor {
         try {
             const state = {
                 silhouette: this.silhouette,
+                silhouetteLoops: this.silhouetteLoops,
                 pieces: this.pieces,
                 levelId: document.getElementById('levelId')?.value || 'level_016',
                 worldId: document.getElementById('worldId')?.value || '2',
                 difficulty: document.getElementById('difficulty')?.value || 'medium',
                 imageMode: document.getElementById('imageMode')?.checked || false,
+                seed: this.generationSeed,
                 timestamp: Date.now()
             };
             localStorage.setItem('levelEditor_autosave', JSON.stringify(state));
@@ -87,6 +177,7 @@ class LevelEditor {
 
             // Restore state
             if (state.silhouette) this.silhouette = state.silhouette;
+            if (state.silhouetteLoops) this.silhouetteLoops = state.silhouetteLoops;
             if (state.pieces) this.pieces = state.pieces;
 
             // Restore form values
@@ -106,6 +197,11 @@ class LevelEditor {
                 const imageModeInput = document.getElementById('imageMode');
                 if (imageModeInput) imageModeInput.checked = state.imageMode;
             }
+            if (state.seed !== undefined && state.seed !== null) {
+                this.generationSeed = state.seed;
+                const seedInput = document.getElementById('seed');
+                if (seedInput) seedInput.value = state.seed;
+            }
 
             this.updatePieceList();
             console.log(`Restored auto-save from ${new Date(state.timestamp).toLocaleString()}`);
@@ -128,59 +224,516 @@ class LevelEditor {
         console.log('Cleared auto-save');
     }
 
-    // Save current state to history
-    saveState() {
-        const state = {
+    // ===== PROJECTS (INDEXEDDB) =====
+    // Each project keeps the source image blob, geometry, form fields and undo history.
+    // The open project is saved shortly after every change; projects never expire.
+
+    async restoreSession() {
+        const lastProjectId = localStorage.getItem('levelEditor_lastProject');
+        if (lastProjectId && await this.openProject(lastProjectId, { quiet: true })) return;
+        this.loadFromLocalStorage();
+    }
+
+    openProjectDb() {
+        if (!this.projectDbPromise) {
+            this.projectDbPromise = new Promise((resolve, reject) => {
+                if (!window.indexedDB) {
+                    reject(new Error('IndexedDB is not available in this browser'));
+                    return;
+                }
+                const request = window.indexedDB.open('levelEditorProjects', 2);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains('projects')) {
+                        db.createObjectStore('projects', { keyPath: 'id' });
+                    }
+                    // Persisted file system handles (e.g. the staging folder), keyed by name
+                    if (!db.objectStoreNames.contains('handles')) {
+                        db.createObjectStore('handles');
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).catch(error => {
+                this.projectDbPromise = null;
+                throw error;
+            });
+        }
+        return this.projectDbPromise;
+    }
+
+    // Run a single request against the projects store (or another store of the editor DB)
+    async projectRequest(mode, action, storeName = 'projects') {
+        const db = await this.openProjectDb();
+        return new Promise((resolve, reject) => {
+            const request = action(db.transaction(storeName, mode).objectStore(storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async listProjects() {
+        const projects = await this.projectRequest('readonly', store => store.getAll());
+        return projects.sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    // Project record for the current editor state
+    buildProjectRecord(project) {
+        const value = id => document.getElementById(id)?.value;
+        const data = JSON.parse(JSON.stringify({
+            silhouette: this.silhouette,
+            silhouetteLoops: this.silhouetteLoops,
+            pieces: this.pieces,
+            currentPiece: this.currentPiece,
+            fields: {
+                levelId: value('levelId'),
+                worldId: value('worldId'),
+                difficulty: value('difficulty'),
+                imageMode: document.getElementById('imageMode')?.checked || false,
+                seed: value('seed'),
+                lockSeed: document.getElementById('lockSeed')?.checked || false
+            },
+            generationSeed: this.generationSeed,
+            requiredCoverage: this.requiredCoverage,
+            snapThreshold: this.snapThreshold,
+            extraMetadata: this.extraMetadata,
+            extraWinConditions: this.extraWinConditions,
+            history: this.history,
+            redoStack: this.redoStack
+        }));
+        return {
+            ...project,
+            updatedAt: Date.now(),
+            image: this.imageBlob || null,
+            mask: this.maskEdit ? {
+                width: this.maskEdit.width,
+                height: this.maskEdit.height,
+                base: this.maskEdit.base.slice(),
+                edits: this.maskEdit.edits.slice()
+            } : null,
+            ...data
+        };
+    }
+
+    // Debounced save of the open project (no-op when nothing is open)
+    scheduleProjectSave() {
+        if (!this.currentProject) return;
+        clearTimeout(this.projectSaveTimer);
+        this.projectSaveTimer = setTimeout(() => this.saveProject({ quiet: true }), 800);
+    }
+
+    async saveProject({ quiet = false } = {}) {
+        clearTimeout(this.projectSaveTimer);
+        this.projectSaveTimer = null;
+
+        if (!this.currentProject) {
+            return this.saveProjectAs();
+        }
+
+        try {
+            const record = this.buildProjectRecord(this.currentProject);
+            await this.projectRequest('readwrite', store => store.put(record));
+            this.updateProjectLabel(`Saved ${new Date(record.updatedAt).toLocaleTimeString()}`);
+            return true;
+        } catch (error) {
+            console.error('Failed to save project:', error);
+            if (!quiet) alert(`Failed to save project: ${error.message}`);
+            return false;
+        }
+    }
+
+    async saveProjectAs() {
+        const suggested = this.currentProject
+            ? `${this.currentProject.name} copy`
+            : (document.getElementById('levelId')?.value || 'Untitled level');
+        const name = prompt('Project name', suggested);
+        if (!name || !name.trim()) return false;
+
+        this.currentProject = { id: this.newProjectId(), name: name.trim(), createdAt: Date.now() };
+        localStorage.setItem('levelEditor_lastProject', this.currentProject.id);
+        const saved = await this.saveProject();
+        this.refreshProjectList();
+        return saved;
+    }
+
+    newProjectId() {
+        return `project_${Date.now().toString(36)}_${Math.floor(Math.random() * 1e6).toString(36)}`;
+    }
+
+    // Load a project into the editor. Returns false if it couldn't be opened.
+    async openProject(id, { quiet = false } = {}) {
+        // A level that was never saved as a project would be lost
+        if (!this.currentProject && (this.pieces.length > 0 || this.silhouette.length > 0) &&
+            !confirm('Discard the current unsaved level?')) {
+            return false;
+        }
+
+        try {
+            // Don't lose pending edits to the project being closed
+            if (this.projectSaveTimer) await this.saveProject({ quiet: true });
+
+            const record = await this.projectRequest('readonly', store => store.get(id));
+            if (!record) throw new Error('Project not found');
+
+            this.stopPlayTest();
+            if (record.image) {
+                await this.loadImageBlob(record.image);
+            } else {
+                this.image = null;
+                this.imageBlob = null;
+                this.resetView();
+            }
+
+            this.silhouette = record.silhouette || [];
+            this.silhouetteLoops = record.silhouetteLoops || [];
+            this.maskEdit = record.mask ? { ...record.mask, pixels: null } : null;
+            this.maskUndo = [];
+            this.maskRedo = [];
+            this.updateMaskPanel();
+            this.pieces = record.pieces || [];
+            this.currentPiece = record.currentPiece || [];
+            this.history = record.history || [];
+            this.redoStack = record.redoStack || [];
+            this.generationSeed = record.generationSeed ?? null;
+            this.requiredCoverage = record.requiredCoverage ?? 0.95;
+            this.snapThreshold = record.snapThreshold ?? 0.05;
+            this.extraMetadata = this.stripDerivedMetadata(record.extraMetadata);
+            this.extraWinConditions = record.extraWinConditions || {};
+            this.selectedPieceIndex = -1;
+            this.multiSelection = [];
+            this.validation = null;
+
+            const fields = record.fields || {};
+            ['levelId', 'worldId', 'difficulty', 'seed'].forEach(field => {
+                const input = document.getElementById(field);
+                if (input && fields[field] !== undefined) input.value = fields[field];
+            });
+            ['imageMode', 'lockSeed'].forEach(field => {
+                const input = document.getElementById(field);
+                if (input) input.checked = !!fields[field];
+            });
+
+            this.currentProject = { id: record.id, name: record.name, createdAt: record.createdAt };
+            localStorage.setItem('levelEditor_lastProject', record.id);
+
+            this.updatePieceList();
+            this.updateHistoryButtons();
+            this.updateProjectLabel();
+            this.render();
+            document.getElementById('canvasInfo').textContent =
+                `Opened ${record.name}: ${this.pieces.length} pieces`;
+            return true;
+        } catch (error) {
+            console.error('Failed to open project:', error);
+            if (!quiet) alert(`Failed to open project: ${error.message}`);
+            return false;
+        }
+    }
+
+    async renameProject(id) {
+        try {
+            const record = await this.projectRequest('readonly', store => store.get(id));
+            if (!record) throw new Error('Project not found');
+
+            const name = prompt('Rename project', record.name);
+            if (!name || !name.trim() || name.trim() === record.name) return;
+
+            record.name = name.trim();
+            await this.projectRequest('readwrite', store => store.put(record));
+            if (this.currentProject && this.currentProject.id === id) {
+                this.currentProject.name = record.name;
+                this.updateProjectLabel();
+            }
+            this.refreshProjectList();
+        } catch (error) {
+            alert(`Failed to rename project: ${error.message}`);
+        }
+    }
+
+    async duplicateProject(id) {
+        try {
+            const record = await this.projectRequest('readonly', store => store.get(id));
+            if (!record) throw new Error('Project not found');
+
+            const now = Date.now();
+            const copy = { ...record, id: this.newProjectId(), name: `${record.name} copy`, createdAt: now, updatedAt: now };
+            await this.projectRequest('readwrite', store => store.put(copy));
+            this.refreshProjectList();
+        } catch (error) {
+            alert(`Failed to duplicate project: ${error.message}`);
+        }
+    }
+
+    async deleteProject(id) {
+        try {
+            const record = await this.projectRequest('readonly', store => store.get(id));
+            if (!record || !confirm(`Delete project "${record.name}"? This cannot be undone.`)) return;
+
+            await this.projectRequest('readwrite', store => store.delete(id));
+            if (this.currentProject && this.currentProject.id === id) {
+                // Keep the level on screen, just no longer backed by a project
+                clearTimeout(this.projectSaveTimer);
+                this.projectSaveTimer = null;
+                this.currentProject = null;
+                localStorage.removeItem('levelEditor_lastProject');
+                this.updateProjectLabel();
+            }
+            this.refreshProjectList();
+        } catch (error) {
+            alert(`Failed to delete project: ${error.message}`);
+        }
+    }
+
+    // Close the open project and start from an empty editor
+    async newProject() {
+        if (this.currentProject) {
+            if (this.projectSaveTimer) await this.saveProject({ quiet: true });
+        } else if ((this.pieces.length > 0 || this.silhouette.length > 0) &&
+            !confirm('Discard the current unsaved level?')) {
+            return;
+        }
+
+        this.stopPlayTest();
+        this.currentProject = null;
+        localStorage.removeItem('levelEditor_lastProject');
+        this.image = null;
+        this.imageBlob = null;
+        this.silhouette = [];
+        this.silhouetteLoops = [];
+        this.maskEdit = null;
+        this.maskUndo = [];
+        this.maskRedo = [];
+        this.updateMaskPanel();
+        this.pieces = [];
+        this.currentPiece = [];
+        this.history = [];
+        this.redoStack = [];
+        this.generationSeed = null;
+        this.extraMetadata = {};
+        this.extraWinConditions = {};
+        this.selectedPieceIndex = -1;
+        this.multiSelection = [];
+        this.validation = null;
+        this.resetView();
+
+        this.updatePieceList();
+        this.updateHistoryButtons();
+        this.updateProjectLabel();
+        this.refreshProjectList();
+        this.render();
+    }
+
+    updateProjectLabel(status = '') {
+        const label = document.getElementById('currentProjectName');
+        if (!label) return;
+        label.textContent = this.currentProject
+            ? `${this.currentProject.name}${status ? ` · ${status}` : ''}`
+            : 'Unsaved level (not in a project)';
+    }
+
+    showProjectsModal() {
+        document.getElementById('projectsModal').classList.add('active');
+        this.refreshProjectList();
+    }
+
+    async refreshProjectList() {
+        const list = document.getElementById('projectList');
+        if (!list || !document.getElementById('projectsModal').classList.contains('active')) return;
+
+        let projects;
+        try {
+            projects = await this.listProjects();
+        } catch (error) {
+            list.innerHTML = `<div class="project-empty">Projects unavailable: ${this.escapeHtml(error.message)}</div>`;
+            return;
+        }
+
+        if (projects.length === 0) {
+            list.innerHTML = '<div class="project-empty">No projects yet. Use "Save As New" to create one.</div>';
+            return;
+        }
+
+        list.innerHTML = projects.map(project => `
+            <div class="project-item ${this.currentProject && this.currentProject.id === project.id ? 'current' : ''}">
+                <div class="project-info">
+                    <div class="project-name">${this.escapeHtml(project.name)}</div>
+                    <div class="project-meta">${(project.pieces || []).length} pieces${project.image ? '' : ' · no image'}
+                        · ${new Date(project.updatedAt).toLocaleString()}</div>
+                </div>
+                <button class="btn btn-primary" data-project-action="open" data-id="${project.id}">Open</button>
+                <button class="btn btn-secondary" data-project-action="rename" data-id="${project.id}">Rename</button>
+                <button class="btn btn-secondary" data-project-action="duplicate" data-id="${project.id}">Duplicate</button>
+                <button class="btn btn-danger" data-project-action="delete" data-id="${project.id}">Delete</button>
+            </div>
+        `).join('');
+
+        list.querySelectorAll('[data-project-action]').forEach(btn => {
+            btn.addEventListener('click', async () => {
+                const id = btn.dataset.id;
+                switch (btn.dataset.projectAction) {
+                    case 'open':
+                        if (await this.openProject(id)) {
+                            document.getElementById('projectsModal').classList.remove('active');
+                        }
+                        break;
+                    case 'rename': this.renameProject(id); break;
+                    case 'duplicate': this.duplicateProject(id); break;
+                    case 'delete': this.deleteProject(id); break;
+                }
+            });
+        });
+    }
+
+    escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, ch => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[ch]);
+    }
+
+    // Deep copy of the editable state, as stored in the undo/redo stacks
+    snapshotState() {
+        return {
             silhouette: JSON.parse(JSON.stringify(this.silhouette)),
+            silhouetteLoops: JSON.parse(JSON.stringify(this.silhouetteLoops)),
             pieces: JSON.parse(JSON.stringify(this.pieces)),
             currentPiece: JSON.parse(JSON.stringify(this.currentPiece))
         };
+    }
+
+    applyState(state) {
+        this.silhouette = state.silhouette;
+        this.silhouetteLoops = state.silhouetteLoops || [];
+        this.pieces = state.pieces;
+        this.currentPiece = state.currentPiece;
+        this.selectedPieceIndex = -1;
+        this.vertexDrag = null;
+        this.activeVertex = null;
+        this.validation = null;
+
+        this.updatePieceList();
+        this.updateHistoryButtons();
+        this.render();
+        this.scheduleProjectSave();
+    }
+
+    // Save current state to history
+    saveState() {
+        this.validation = null; // Geometry is about to change
+        this.stopPlayTest();    // Play-test works on a copy of the old layout
+        this.scheduleProjectSave();
+
+        // Compound actions (e.g. quickGenerate) record a single entry when they finish
+        if (this.historyBatchDepth > 0) return;
+        this.pushHistory(this.snapshotState());
+    }
+
+    pushHistory(state) {
         this.history.push(state);
         if (this.history.length > this.maxHistory) {
             this.history.shift();
         }
-        this.updateUndoButton();
+        // A new edit invalidates anything that was undone
+        this.redoStack = [];
+        this.updateHistoryButtons();
+    }
+
+    // Run a compound action as one undo step, recorded only if it changed anything
+    // (a failed Auto-Split shouldn't cost the redo history)
+    withHistoryBatch(action) {
+        const before = this.snapshotState();
+        this.historyBatchDepth++;
+        try {
+            action();
+        } finally {
+            this.historyBatchDepth--;
+            if (this.historyBatchDepth === 0 && JSON.stringify(before) !== JSON.stringify(this.snapshotState())) {
+                this.pushHistory(before);
+            }
+        }
     }
 
     // Undo last action
     undo() {
+        // Brush strokes have their own history while the mask brush is active
+        if (this.currentTool === 'mask' && this.undoMaskStroke()) return;
         if (this.history.length === 0) return;
 
-        const state = this.history.pop();
-        this.silhouette = state.silhouette;
-        this.pieces = state.pieces;
-        this.currentPiece = state.currentPiece;
-        this.selectedPieceIndex = -1;
-
-        this.updatePieceList();
-        this.updateUndoButton();
-        this.render();
+        this.redoStack.push(this.snapshotState());
+        this.applyState(this.history.pop());
     }
 
-    updateUndoButton() {
-        const undoBtn = document.getElementById('undoBtn');
-        if (undoBtn) {
-            undoBtn.disabled = this.history.length === 0;
-            undoBtn.style.opacity = this.history.length === 0 ? '0.5' : '1';
+    // Redo last undone action
+    redo() {
+        if (this.currentTool === 'mask' && this.redoMaskStroke()) return;
+        if (this.redoStack.length === 0) return;
+
+        this.history.push(this.snapshotState());
+        if (this.history.length > this.maxHistory) {
+            this.history.shift();
         }
+        this.applyState(this.redoStack.pop());
+    }
+
+    updateHistoryButtons() {
+        const buttons = [
+            ['undoBtn', this.history.length],
+            ['mobileUndo', this.history.length],
+            ['redoBtn', this.redoStack.length],
+            ['mobileRedo', this.redoStack.length]
+        ];
+        buttons.forEach(([id, count]) => {
+            const btn = document.getElementById(id);
+            if (btn) {
+                btn.disabled = count === 0;
+                btn.style.opacity = count === 0 ? '0.5' : '1';
+            }
+        });
+    }
+
+    // Keys typed into form fields belong to the field, not the editor
+    isTypingTarget(target) {
+        return !!target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' ||
+            target.tagName === 'SELECT' || target.isContentEditable);
     }
 
     setupKeyboardShortcuts() {
         document.addEventListener('keydown', (e) => {
-            // Ctrl+Z or Cmd+Z for undo
-            if ((e.ctrlKey || e.metaKey) && e.key === 'z') {
+            // Play-test mode only listens for Escape (leave)
+            if (this.playMode) {
+                if (e.key === 'Escape') this.stopPlayTest();
+                return;
+            }
+            // Ctrl+Z or Cmd+Z for undo, Ctrl+Shift+Z / Ctrl+Y for redo (form fields keep their own)
+            const historyKey = (e.ctrlKey || e.metaKey) && !this.isTypingTarget(e.target);
+            if (historyKey && e.key.toLowerCase() === 'z') {
+                e.preventDefault();
+                if (e.shiftKey) {
+                    this.redo();
+                } else {
+                    this.undo();
+                }
+            }
+            if (historyKey && e.key.toLowerCase() === 'y') {
                 e.preventDefault();
-                this.undo();
+                this.redo();
             }
-            // Escape to cancel current piece
+            // Escape to cancel current piece or knife cut
             if (e.key === 'Escape') {
-                if (this.currentPiece.length > 0) {
+                if (this.currentPiece.length > 0 || this.knifeLine) {
                     this.currentPiece = [];
+                    this.knifeLine = null;
                     this.render();
                 }
             }
+            // Delete/Backspace to remove the picked vertex (vertex tool)
+            const deleteKey = (e.key === 'Delete' || e.key === 'Backspace') && !this.isTypingTarget(e.target);
+            if (deleteKey && this.currentTool === 'vertex' && this.activeVertex) {
+                e.preventDefault();
+                this.deleteVertex(this.activeVertex.target, this.activeVertex.index);
+                return;
+            }
             // Delete/Backspace to remove selected piece
-            if ((e.key === 'Delete' || e.key === 'Backspace') && this.selectedPieceIndex >= 0) {
+            if (deleteKey && this.selectedPieceIndex >= 0) {
                 e.preventDefault();
                 this.saveState();
                 this.pieces.splice(this.selectedPieceIndex, 1);
@@ -208,9 +761,15 @@ class LevelEditor {
         dropZone.addEventListener('drop', (e) => {
             e.preventDefault();
             dropZone.classList.remove('drag-over');
-            const file = e.dataTransfer.files[0];
-            if (file && file.type.startsWith('image/')) {
-                this.loadImage(file);
+            // Accept an image, a level JSON, or both at once
+            const files = Array.from(e.dataTransfer.files);
+            const imageFile = files.find(file => file.type.startsWith('image/'));
+            const jsonFile = files.find(file => this.isJsonFile(file));
+            if (imageFile) {
+                this.loadImage(imageFile);
+            }
+            if (jsonFile) {
+                this.importLevelFile(jsonFile);
             }
         });
         imageInput.addEventListener('change', (e) => {
@@ -222,13 +781,16 @@ class LevelEditor {
         this.canvas.addEventListener('click', (e) => this.handleCanvasClick(e));
         this.canvas.addEventListener('dblclick', (e) => this.handleCanvasDoubleClick(e));
         this.canvas.addEventListener('mousemove', (e) => this.handleCanvasMouseMove(e));
+        this.canvas.addEventListener('mousedown', (e) => this.handleCanvasMouseDown(e));
+        this.canvas.addEventListener('mouseup', () => this.handleCanvasMouseUp());
+        this.canvas.addEventListener('mouseleave', () => this.handleCanvasMouseUp());
 
         // Tool buttons
         document.querySelectorAll('.tool-btn[data-tool]').forEach(btn => {
             btn.addEventListener('click', () => {
                 document.querySelectorAll('.tool-btn[data-tool]').forEach(b => b.classList.remove('active'));
                 btn.classList.add('active');
-                this.currentTool = btn.dataset.tool;
+                this.setTool(btn.dataset.tool);
             });
         });
 
@@ -254,8 +816,36 @@ class LevelEditor {
                 if (toleranceValue) {
                     toleranceValue.textContent = toleranceSlider.value;
                 }
+                this.scheduleMaskOverlay();
+            });
+        }
+
+        // Seed field: typing a seed locks it; the dice rolls a fresh one
+        const seedInput = document.getElementById('seed');
+        const lockSeed = document.getElementById('lockSeed');
+        if (seedInput && lockSeed) {
+            seedInput.addEventListener('input', () => {
+                lockSeed.checked = seedInput.value.trim() !== '';
             });
         }
+        const rollSeed = document.getElementById('rollSeed');
+        if (rollSeed && seedInput) {
+            rollSeed.addEventListener('click', () => {
+                seedInput.value = this.randomSeed();
+                if (lockSeed) lockSeed.checked = true;
+            });
+        }
+
+        // Split mode: relax iterations only apply to Voronoi
+        const splitModeSelect = document.getElementById('splitMode');
+        const lloydGroup = document.getElementById('lloydIterationsGroup');
+        if (splitModeSelect && lloydGroup) {
+            const updateLloydVisibility = () => {
+                lloydGroup.style.display = splitModeSelect.value === 'voronoi' ? '' : 'none';
+            };
+            updateLloydVisibility();
+            splitModeSelect.addEventListener('change', updateLloydVisibility);
+        }
 
         // Interior sampling toggle
         const interiorCheckbox = document.getElementById('useInteriorSampling');
@@ -263,6 +853,135 @@ class LevelEditor {
             this.useInteriorSampling = interiorCheckbox.checked;
             interiorCheckbox.addEventListener('change', () => {
                 this.useInteriorSampling = interiorCheckbox.checked;
+                this.scheduleMaskOverlay();
+            });
+        }
+
+        // Multi-region and hole tracing toggles
+        ['traceAllRegions', 'traceHoles'].forEach(id => {
+            const checkbox = document.getElementById(id);
+            if (!checkbox) return;
+            this[id] = checkbox.checked;
+            checkbox.addEventListener('change', () => {
+                this[id] = checkbox.checked;
+                this.scheduleMaskOverlay();
+            });
+        });
+
+        // Mask strategy: only its own settings are shown
+        const strategySelect = document.getElementById('maskStrategy');
+        if (strategySelect) {
+            const optionGroups = {
+                background: 'maskOptionsBackground',
+                alpha: 'maskOptionsAlpha',
+                otsu: 'maskOptionsOtsu',
+                hsv: 'maskOptionsHsv'
+            };
+            const updateStrategy = () => {
+                this.maskStrategy = strategySelect.value;
+                Object.entries(optionGroups).forEach(([strategy, id]) => {
+                    const group = document.getElementById(id);
+                    if (group) group.style.display = strategy === this.maskStrategy ? '' : 'none';
+                });
+                this.scheduleMaskOverlay();
+            };
+            updateStrategy();
+            strategySelect.addEventListener('change', updateStrategy);
+        }
+
+        // Strategy thresholds (percentage sliders are stored as 0-1)
+        [['alphaThreshold', 1], ['hsvMinSaturation', 100], ['hsvMinValue', 100], ['hsvMaxValue', 100]].forEach(([id, divisor]) => {
+            const slider = document.getElementById(id);
+            const label = document.getElementById(`${id}Value`);
+            if (!slider) return;
+            const update = () => {
+                this[id] = parseInt(slider.value, 10) / divisor;
+                if (label) label.textContent = slider.value;
+                this.scheduleMaskOverlay();
+            };
+            update();
+            slider.addEventListener('input', update);
+        });
+
+        // Mask cleanup (sizes are in mask pixels)
+        [
+            ['maskGrow', 'grow'], ['maskOpen', 'open'], ['maskClose', 'close'],
+            ['maskFillHoles', 'fillHoles'], ['maskMinIsland', 'minIsland']
+        ].forEach(([id, key]) => {
+            const input = document.getElementById(id);
+            const label = document.getElementById(`${id}Value`);
+            if (!input) return;
+            const update = () => {
+                this.maskCleanup[key] = parseInt(input.value, 10) || 0;
+                if (label) label.textContent = input.value;
+                this.scheduleMaskOverlay();
+            };
+            update();
+            input.addEventListener('input', update);
+        });
+
+        // Simplification: changes re-simplify the last trace live
+        const simplifyModeSelect = document.getElementById('simplifyMode');
+        const updateSimplifyMode = () => {
+            this.simplifyMode = simplifyModeSelect.value;
+            const toleranceGroup = document.getElementById('simplifyToleranceGroup');
+            const budgetGroup = document.getElementById('maxPointsGroup');
+            if (toleranceGroup) toleranceGroup.style.display = this.simplifyMode === 'budget' ? 'none' : '';
+            if (budgetGroup) budgetGroup.style.display = this.simplifyMode === 'budget' ? '' : 'none';
+        };
+        if (simplifyModeSelect) updateSimplifyMode();
+        [
+            ['simplifyMode', () => updateSimplifyMode()],
+            ['smoothing', input => { this.smoothing = input.value; }],
+            ['simplifyTolerance', input => {
+                this.simplifyTolerance = parseFloat(input.value) / 1000;
+                const label = document.getElementById('simplifyToleranceValue');
+                if (label) label.textContent = input.value;
+            }],
+            ['maxPoints', input => { this.maxPoints = Math.max(3, parseInt(input.value, 10) || 3); }]
+        ].forEach(([id, apply]) => {
+            const input = document.getElementById(id);
+            if (!input) return;
+            input.addEventListener('input', () => {
+                apply(input);
+                this.resimplifyLastTrace();
+            });
+            input.addEventListener('change', () => {
+                // saveState() only saved the first step of the adjustment
+                if (this.simplifyAdjusting) this.scheduleProjectSave();
+                this.simplifyAdjusting = false;
+            });
+        });
+
+        // Mask refinement
+        document.getElementById('refineMask')?.addEventListener('click', () => this.startMaskEdit());
+        document.getElementById('redetectMask')?.addEventListener('click', () => this.redetectMask());
+        document.getElementById('exportMask')?.addEventListener('click', () => this.exportMaskPng());
+        document.getElementById('discardMask')?.addEventListener('click', () => this.discardMaskEdit());
+        const brushModeSelect = document.getElementById('maskBrushMode');
+        if (brushModeSelect) {
+            this.maskBrushMode = brushModeSelect.value;
+            brushModeSelect.addEventListener('change', () => {
+                this.maskBrushMode = brushModeSelect.value;
+            });
+        }
+        ['maskBrushRadius', 'magicTolerance'].forEach(id => {
+            const slider = document.getElementById(id);
+            const label = document.getElementById(`${id}Value`);
+            if (!slider) return;
+            slider.addEventListener('input', () => {
+                this[id] = parseInt(slider.value, 10);
+                if (label) label.textContent = slider.value;
+            });
+        });
+
+        // Live mask overlay
+        const overlayCheckbox = document.getElementById('showMaskOverlay');
+        if (overlayCheckbox) {
+            overlayCheckbox.addEventListener('change', () => {
+                this.showMaskOverlay = overlayCheckbox.checked;
+                this.scheduleMaskOverlay();
+                this.render();
             });
         }
 
@@ -289,15 +1008,29 @@ class LevelEditor {
             });
         }
 
-        // Undo button
+        // Undo/redo buttons
         document.getElementById('undoBtn').addEventListener('click', () => {
             this.undo();
         });
+        document.getElementById('redoBtn').addEventListener('click', () => {
+            this.redo();
+        });
 
         // Trace silhouette
         document.getElementById('traceSilhouette').addEventListener('click', () => {
             this.autoTraceSilhouette();
         });
+        const cancelTraceBtn = document.getElementById('cancelTrace');
+        if (cancelTraceBtn) {
+            cancelTraceBtn.addEventListener('click', () => this.cancelTrace());
+        }
+        const traceResolutionSelect = document.getElementById('traceResolution');
+        if (traceResolutionSelect) {
+            this.traceResolution = parseInt(traceResolutionSelect.value, 10) || 0;
+            traceResolutionSelect.addEventListener('change', () => {
+                this.traceResolution = parseInt(traceResolutionSelect.value, 10) || 0;
+            });
+        }
 
         // Auto-split pieces
         document.getElementById('autoSplit').addEventListener('click', () => {
@@ -314,6 +1047,60 @@ class LevelEditor {
             this.toggleScatterPreview();
         });
 
+        // Projects
+        document.getElementById('openProjects').addEventListener('click', () => this.showProjectsModal());
+        document.getElementById('saveProject').addEventListener('click', () => this.saveProject());
+        document.getElementById('closeProjectsModal').addEventListener('click', () => {
+            document.getElementById('projectsModal').classList.remove('active');
+        });
+        document.getElementById('saveProjectAs').addEventListener('click', () => this.saveProjectAs());
+        document.getElementById('newProject').addEventListener('click', () => this.newProject());
+        ['levelId', 'worldId', 'difficulty', 'imageMode'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => this.scheduleProjectSave());
+        });
+
+        // Play-test the level
+        document.getElementById('playTest').addEventListener('click', () => {
+            this.togglePlayTest();
+        });
+
+        // Randomize start rotations of unlocked pieces
+        document.getElementById('randomizeRotations').addEventListener('click', () => {
+            this.randomizeRotations();
+        });
+
+        // Rotation fields of the selected piece
+        ['startRotation', 'correctRotation'].forEach(field => {
+            document.getElementById(field).addEventListener('change', (e) => {
+                this.setPieceRotation(field, e.target.value);
+            });
+        });
+
+        // Pack unlocked pieces into the tray
+        document.getElementById('packTray').addEventListener('click', () => {
+            this.packTray();
+        });
+
+        // Re-roll start positions that weren't placed by hand
+        document.getElementById('rerollScatter').addEventListener('click', () => {
+            this.rerollStartPositions();
+        });
+
+        // Export everything as one ZIP
+        document.getElementById('exportBundle').addEventListener('click', () => {
+            this.exportBundle();
+        });
+
+        // Export an Xcode asset catalog for image-mode levels
+        document.getElementById('exportXcassets').addEventListener('click', () => {
+            this.exportXcassets();
+        });
+
+        // Merge selected pieces
+        document.getElementById('mergePieces').addEventListener('click', () => {
+            this.mergeSelectedPieces();
+        });
+
         // Export piece images
         document.getElementById('exportPieceImages').addEventListener('click', () => {
             this.exportPieceImages();
@@ -324,6 +1111,7 @@ class LevelEditor {
             if (confirm('Clear all pieces and silhouette?')) {
                 this.saveState(); // Save before clearing
                 this.silhouette = [];
+                this.silhouetteLoops = [];
                 this.pieces = [];
                 this.currentPiece = [];
                 this.updatePieceList();
@@ -331,6 +1119,9 @@ class LevelEditor {
             }
         });
 
+        // Validate
+        document.getElementById('validateLevel').addEventListener('click', () => this.runValidation());
+
         // Export
         document.getElementById('exportJson').addEventListener('click', () => this.showExportModal());
         document.getElementById('copyJson').addEventListener('click', () => this.copyToClipboard());
@@ -341,6 +1132,29 @@ class LevelEditor {
         document.getElementById('copyJsonModal').addEventListener('click', () => this.copyToClipboard());
         document.getElementById('saveToFile').addEventListener('click', () => this.saveToFile());
 
+        // Level JSON import (file picker and paste in the export modal)
+        const importJsonBtn = document.getElementById('importJson');
+        const jsonInput = document.getElementById('jsonInput');
+        if (importJsonBtn && jsonInput) {
+            importJsonBtn.addEventListener('click', () => jsonInput.click());
+            jsonInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file) this.importLevelFile(file);
+                jsonInput.value = '';
+            });
+        }
+        document.getElementById('importPastedJson').addEventListener('click', () => {
+            const pasteInput = document.getElementById('pasteJsonInput');
+            if (!pasteInput.value.trim()) {
+                alert('Paste a level JSON first');
+                return;
+            }
+            if (this.importLevelJson(pasteInput.value)) {
+                pasteInput.value = '';
+                document.getElementById('exportModal').classList.remove('active');
+            }
+        });
+
         // Staging folder loader
         const stagingSelect = document.getElementById('stagingSelect');
         const refreshStaging = document.getElementById('refreshStaging');
@@ -358,130 +1172,514 @@ class LevelEditor {
             refreshStaging.addEventListener('click', () => this.refreshStagingList());
         }
 
-        // Auto-load staging list on startup
-        this.refreshStagingList();
+        // Local staging folder (File System Access API)
+        document.getElementById('openStagingFolder')?.addEventListener('click', () => this.openStagingFolder());
+        document.getElementById('closeStagingFolder')?.addEventListener('click', () => this.closeStagingFolder());
+        document.getElementById('saveToStaging')?.addEventListener('click', () => this.saveToStaging());
+        this.updateStagingFolderLabel();
+
+        // Staging base URL setting (empty = auto-detect)
+        const stagingBaseInput = document.getElementById('stagingBaseUrl');
+        if (stagingBaseInput) {
+            stagingBaseInput.value = this.getStagingBaseSetting();
+            stagingBaseInput.addEventListener('change', () => this.setStagingBaseSetting(stagingBaseInput.value));
+        }
+
+        // Auto-load staging list on startup, then switch to a remembered local folder
+        this.refreshStagingList().then(() => this.restoreStagingFolder());
     }
 
+    // Find the staging folder and list its levels. Levels come from <base>/manifest.json:
+    //   { "levels": [{ "id": "level_016", "image": "images/level_016.png",
+    //                  "json": "json/level_016.json", "world": 2 }] }
+    // (paths relative to the staging base), or else from the server's directory
+    // listing of <base>/images/ and <base>/json/.
     async refreshStagingList() {
         const stagingSelect = document.getElementById('stagingSelect');
         if (!stagingSelect) return;
 
-        // Try multiple possible staging paths
-        const possiblePaths = [
-            '../../staging',           // When served from nah-iosgame root
-            '../staging',              // Alternative
-            '/staging',                // Absolute from server root
-            '../nah-iosgame/staging'   // When served from tools folder
-        ];
+        // A folder opened from disk takes over from HTTP staging
+        if (this.stagingDir) {
+            await this.refreshLocalStagingList();
+            return;
+        }
 
-        let stagingBase = null;
+        // Then the dev server API (node server.js), which can also save
+        if (await this.detectStagingApi()) {
+            try {
+                const response = await fetch('/api/levels', { cache: 'no-store' });
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                const { levels } = await response.json();
+                if (this.stagingDir) return;
+                this.stagingBase = '/staging';
+                this.populateStagingSelect(levels);
+                return;
+            } catch (error) {
+                console.warn('Dev server level list failed, falling back to static staging:', error);
+            }
+        }
+
+        // A configured base URL wins; otherwise try the usual layouts
+        const configured = this.getStagingBaseSetting();
+        const possiblePaths = configured ? [configured] : [
+            '../../staging',           // When served from nah-iosgame root
+            '../staging',              // Alternative
+            '/staging',                // Absolute from server root
+            '../nah-iosgame/staging'   // When served from tools folder
+        ];
 
-        // Find which path works
+        let found = null;
         for (const path of possiblePaths) {
-            try {
-                const response = await fetch(`${path}/images/level_016.png`, { method: 'HEAD' });
-                if (response.ok) {
-                    stagingBase = path;
-                    console.log('Found staging at:', path);
-                    break;
-                }
-            } catch (e) {}
+            const levels = await this.fetchStagingManifest(path) || await this.fetchStagingListing(path);
+            if (levels) {
+                found = { path, levels };
+                console.log(`Found staging at: ${path} (${levels.length} levels)`);
+                break;
+            }
         }
 
-        if (!stagingBase) {
+        // A local folder was opened while probing over HTTP
+        if (this.stagingDir) return;
+
+        if (!found) {
+            this.stagingBase = null;
+            this.stagingLevels = new Map();
             stagingSelect.innerHTML = '<option value="">-- No staging folder found --</option>';
-            console.log('Could not find staging folder. Run server from nah-iosgame root.');
+            console.log(configured
+                ? `No staging manifest or directory listing at ${configured}`
+                : 'Could not find staging folder. Run `node server.js` (or serve from nah-iosgame root).');
             return;
         }
 
         // Store for later use
-        this.stagingBase = stagingBase;
-        const levels = [];
+        this.stagingBase = found.path;
+        this.populateStagingSelect(found.levels);
+    }
+
+    // Fill the level dropdown, grouped by world when the manifest provides it
+    populateStagingSelect(levels) {
+        const stagingSelect = document.getElementById('stagingSelect');
+        this.stagingLevels = new Map(levels.map(level => [level.id, level]));
+
+        stagingSelect.innerHTML = '<option value="">-- Select level --</option>';
+        if (levels.length === 0) {
+            stagingSelect.innerHTML += '<option value="" disabled>No staged levels found</option>';
+            return;
+        }
+
+        const sorted = [...levels].sort((a, b) =>
+            (a.world ?? Infinity) - (b.world ?? Infinity) || a.id.localeCompare(b.id, undefined, { numeric: true })
+        );
+        const option = level => {
+            const match = /^level_(\d+)$/.exec(level.id);
+            const label = match ? `Level ${parseInt(match[1], 10)}` : level.id;
+            return `<option value="${this.escapeHtml(level.id)}">${this.escapeHtml(label)}</option>`;
+        };
+        const worlds = [...new Set(sorted.map(level => level.world ?? null))];
+        if (worlds.length === 1 && worlds[0] === null) {
+            stagingSelect.innerHTML += sorted.map(option).join('');
+        } else {
+            stagingSelect.innerHTML += worlds.map(world => {
+                const label = world === null ? 'No world' : `World ${world}`;
+                const options = sorted.filter(level => (level.world ?? null) === world).map(option).join('');
+                return `<optgroup label="${this.escapeHtml(label)}">${options}</optgroup>`;
+            }).join('');
+        }
+    }
+
+    // True when the editor is served by server.js (the staging API is available)
+    async detectStagingApi() {
+        try {
+            const response = await fetch('/api/info', { cache: 'no-store' });
+            const info = response.ok ? await response.json() : null;
+            this.stagingApi = !!info && info.api === 'shape-fate-level-editor';
+        } catch (e) {
+            this.stagingApi = false;
+        }
+        return this.stagingApi;
+    }
+
+    getStagingBaseSetting() {
+        return (localStorage.getItem('levelEditor_stagingBase') || '').trim().replace(/\/+$/, '');
+    }
+
+    setStagingBaseSetting(url) {
+        const value = url.trim().replace(/\/+$/, '');
+        if (value) {
+            localStorage.setItem('levelEditor_stagingBase', value);
+        } else {
+            localStorage.removeItem('levelEditor_stagingBase');
+        }
+        this.refreshStagingList();
+    }
 
-        // Scan for level files (level_016 to level_060 - our active range)
-        for (let i = 16; i <= 60; i++) {
-            const levelId = `level_${i.toString().padStart(3, '0')}`;
+    // Read a staging file (path relative to the staging folder) from disk or over HTTP.
+    // Returns null if it doesn't exist.
+    async readStagingFile(path) {
+        if (this.stagingDir) {
             try {
-                const response = await fetch(`${this.stagingBase}/images/${levelId}.png`, { method: 'HEAD' });
-                if (response.ok) {
-                    levels.push(levelId);
+                const parts = path.split('/').filter(Boolean);
+                let dir = this.stagingDir;
+                for (const part of parts.slice(0, -1)) {
+                    dir = await dir.getDirectoryHandle(part);
                 }
+                const fileHandle = await dir.getFileHandle(parts[parts.length - 1]);
+                return await fileHandle.getFile();
             } catch (e) {
-                // File doesn't exist, skip
+                return null;
             }
         }
 
-        // Update dropdown
-        stagingSelect.innerHTML = '<option value="">-- Select level --</option>';
-        if (levels.length === 0) {
-            stagingSelect.innerHTML += '<option value="" disabled>No staged levels found</option>';
-        } else {
-            levels.forEach(levelId => {
-                const num = parseInt(levelId.split('_')[1], 10);
-                stagingSelect.innerHTML += `<option value="${levelId}">Level ${num}</option>`;
-            });
+        const response = await fetch(this.resolveStagingPath(path));
+        return response.ok ? response.blob() : null;
+    }
+
+    // Manifest paths are relative to the staging base unless absolute
+    resolveStagingPath(path) {
+        return /^([a-z]+:|\/)/i.test(path) ? path : `${this.stagingBase}/${path}`;
+    }
+
+    // Levels from <base>/manifest.json, or null if there is no usable manifest
+    async fetchStagingManifest(base) {
+        try {
+            const response = await fetch(`${base}/manifest.json`, { cache: 'no-store' });
+            if (!response.ok) return null;
+
+            return this.parseStagingManifest(await response.json());
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // Manifest JSON -> [{ id, image, json, world }], or null if it isn't a manifest
+    parseStagingManifest(manifest) {
+        const entries = Array.isArray(manifest) ? manifest : manifest && manifest.levels;
+        if (!Array.isArray(entries)) return null;
+
+        return entries
+            .map(entry => typeof entry === 'string' ? { id: entry } : entry)
+            .filter(entry => entry && entry.id)
+            .map(entry => ({
+                id: String(entry.id),
+                image: entry.image || `images/${entry.id}.png`,
+                json: entry.json || `json/${entry.id}.json`,
+                world: entry.world ?? null
+            }));
+    }
+
+    // Levels from the server's directory listing of images/ (and json/), or null
+    async fetchStagingListing(base) {
+        const listFiles = async (folder, extension) => {
+            try {
+                const response = await fetch(`${base}/${folder}/`, { cache: 'no-store' });
+                if (!response.ok) return null;
+                const html = await response.text();
+                const names = new Set();
+                const pattern = new RegExp(`href="([^"?#]+\\.${extension})"`, 'gi');
+                let match;
+                while ((match = pattern.exec(html)) !== null) {
+                    names.add(decodeURIComponent(match[1].split('/').pop()));
+                }
+                return names;
+            } catch (e) {
+                return null;
+            }
+        };
+
+        const images = await listFiles('images', 'png');
+        if (!images) return null;
+        const jsons = await listFiles('json', 'json') || new Set();
+
+        return [...images].map(name => {
+            const id = name.replace(/\.png$/i, '');
+            return {
+                id,
+                image: `images/${name}`,
+                json: jsons.has(`${id}.json`) ? `json/${id}.json` : null,
+                world: null
+            };
+        });
+    }
+
+    // ===== LOCAL STAGING FOLDER (FILE SYSTEM ACCESS) =====
+
+    // Reconnect the staging folder opened in an earlier session. Without a user gesture
+    // the browser may not grant access yet; "Open Staging Folder" then asks again.
+    async restoreStagingFolder() {
+        if (!('showDirectoryPicker' in window)) return;
+        try {
+            const handle = await this.projectRequest('readonly', store => store.get('stagingDir'), 'handles');
+            if (!handle) return;
+
+            this.storedStagingDir = handle;
+            if (await handle.queryPermission({ mode: 'readwrite' }) === 'granted') {
+                this.stagingDir = handle;
+                this.updateStagingFolderLabel();
+                await this.refreshLocalStagingList();
+            } else {
+                this.updateStagingFolderLabel(`${handle.name} (click Open to reconnect)`);
+            }
+        } catch (e) {
+            console.warn('Could not restore staging folder:', e);
+        }
+    }
+
+    async openStagingFolder() {
+        if (!('showDirectoryPicker' in window)) {
+            alert('Opening a folder is not supported in this browser. Use Chrome or Edge, or serve the staging folder over HTTP.');
+            return;
+        }
+
+        try {
+            let handle = null;
+
+            // Reuse the remembered folder if the user grants access again
+            if (this.storedStagingDir && !this.stagingDir &&
+                await this.storedStagingDir.requestPermission({ mode: 'readwrite' }) === 'granted') {
+                handle = this.storedStagingDir;
+            } else {
+                handle = await window.showDirectoryPicker({ id: 'staging', mode: 'readwrite' });
+            }
+
+            this.stagingDir = handle;
+            this.storedStagingDir = handle;
+            await this.projectRequest('readwrite', store => store.put(handle, 'stagingDir'), 'handles')
+                .catch(e => console.warn('Could not remember staging folder:', e));
+
+            this.updateStagingFolderLabel();
+            await this.refreshLocalStagingList();
+        } catch (err) {
+            if (err.name !== 'AbortError') {
+                console.error('Failed to open staging folder:', err);
+                alert(`Failed to open staging folder: ${err.message}`);
+            }
+        }
+    }
+
+    // Go back to HTTP staging and forget the folder
+    async closeStagingFolder() {
+        this.stagingDir = null;
+        this.storedStagingDir = null;
+        await this.projectRequest('readwrite', store => store.delete('stagingDir'), 'handles').catch(() => {});
+        this.updateStagingFolderLabel();
+        this.refreshStagingList();
+    }
+
+    updateStagingFolderLabel(text = null) {
+        const label = document.getElementById('stagingFolderName');
+        if (label) {
+            label.textContent = text || (this.stagingDir ? `Folder: ${this.stagingDir.name}` : 'Using HTTP staging');
+        }
+        const closeBtn = document.getElementById('closeStagingFolder');
+        if (closeBtn) closeBtn.style.display = this.stagingDir || this.storedStagingDir ? '' : 'none';
+    }
+
+    // List levels from the opened folder: manifest.json if present, else images/ and json/
+    async refreshLocalStagingList() {
+        try {
+            const manifestBlob = await this.readStagingFile('manifest.json');
+            let levels = null;
+            if (manifestBlob) {
+                try {
+                    levels = this.parseStagingManifest(JSON.parse(await manifestBlob.text()));
+                } catch (e) {
+                    console.warn('Ignoring unreadable staging manifest:', e);
+                }
+            }
+
+            if (!levels) {
+                const images = await this.listLocalFiles('images', '.png');
+                const jsons = new Set(await this.listLocalFiles('json', '.json'));
+                levels = images.map(name => {
+                    const id = name.replace(/\.png$/i, '');
+                    return {
+                        id,
+                        image: `images/${name}`,
+                        json: jsons.has(`${id}.json`) ? `json/${id}.json` : null,
+                        world: null
+                    };
+                });
+            }
+
+            this.populateStagingSelect(levels);
+        } catch (error) {
+            console.error('Failed to list staging folder:', error);
+            alert(`Failed to list staging folder: ${error.message}`);
+        }
+    }
+
+    async listLocalFiles(folder, extension) {
+        let dir;
+        try {
+            dir = await this.stagingDir.getDirectoryHandle(folder);
+        } catch (e) {
+            return [];
+        }
+        const names = [];
+        for await (const [name, entry] of dir.entries()) {
+            if (entry.kind === 'file' && name.toLowerCase().endsWith(extension)) {
+                names.push(name);
+            }
+        }
+        return names;
+    }
+
+    // folder '' writes to the staging folder itself
+    async writeStagingFile(folder, name, data) {
+        const dir = folder ? await this.stagingDir.getDirectoryHandle(folder, { create: true }) : this.stagingDir;
+        const fileHandle = await dir.getFileHandle(name, { create: true });
+        const writable = await fileHandle.createWritable();
+        await writable.write(data);
+        await writable.close();
+    }
+
+    // Add a saved level to the opened folder's manifest.json, which otherwise hides it from the
+    // level list. Without a manifest the list comes from images/, which the save writes.
+    async addToLocalStagingManifest(levelId) {
+        const manifestBlob = await this.readStagingFile('manifest.json');
+        if (!manifestBlob) return;
+
+        let manifest;
+        try {
+            manifest = JSON.parse(await manifestBlob.text());
+        } catch (e) {
+            console.warn('Not updating unreadable staging manifest:', e);
+            return;
+        }
+        const entries = Array.isArray(manifest) ? manifest : manifest && manifest.levels;
+        if (!Array.isArray(entries)) return;
+        if (entries.some(entry => (typeof entry === 'string' ? entry : entry && String(entry.id)) === levelId)) return;
+
+        // Match the manifest's own form: plain ids or { id, world } entries
+        const world = parseInt(document.getElementById('worldId').value, 10);
+        entries.push(entries.length > 0 && entries.every(entry => typeof entry === 'string')
+            ? levelId
+            : { id: levelId, world: Number.isNaN(world) ? null : world });
+        await this.writeStagingFile('', 'manifest.json', JSON.stringify(manifest, null, 2));
+    }
+
+    // Write json/<levelId>.json, the source image and (in image mode) piece PNGs into the
+    // opened staging folder, or through the dev server API. Without either this falls back
+    // to a download.
+    async saveToStaging() {
+        if (!this.stagingDir && this.stagingApi) {
+            await this.saveToStagingApi();
+            return;
+        }
+        if (!('showDirectoryPicker' in window)) {
+            this.downloadJson();
+            return;
+        }
+        if (!this.stagingDir) {
+            await this.openStagingFolder();
+            if (!this.stagingDir) return;
+        }
+
+        const levelId = document.getElementById('levelId').value || 'level_016';
+        const imageMode = document.getElementById('imageMode').checked;
+
+        try {
+            if (await this.stagingDir.requestPermission({ mode: 'readwrite' }) !== 'granted') {
+                throw new Error('Write access to the staging folder was denied');
+            }
+
+            await this.writeStagingFile('json', `${levelId}.json`, this.generateJson());
+            if (this.image) {
+                await this.writeStagingFile('images', `${levelId}.png`, await this.getSourceImagePng());
+            }
+            await this.addToLocalStagingManifest(levelId);
+
+            let pieceCount = 0;
+            if (imageMode && this.image) {
+                for (let i = 0; i < this.pieces.length; i++) {
+                    const bytes = await this.canvasToPngBytes(this.renderPieceCanvas(this.pieces[i]));
+                    await this.writeStagingFile('pieces', `${levelId}_piece_${i + 1}.png`, bytes);
+                    pieceCount++;
+                }
+            }
+
+            document.getElementById('canvasInfo').textContent = pieceCount > 0
+                ? `Saved json/${levelId}.json and ${pieceCount} piece images to ${this.stagingDir.name}`
+                : `Saved json/${levelId}.json to ${this.stagingDir.name}`;
+            await this.refreshLocalStagingList();
+        } catch (error) {
+            console.error('Save to staging failed:', error);
+            alert(`Save to staging failed: ${error.message}`);
+        }
+    }
+
+    // Save the level JSON, source image and (in image mode) piece PNGs through server.js
+    async saveToStagingApi() {
+        const levelId = document.getElementById('levelId').value || 'level_016';
+        const imageMode = document.getElementById('imageMode').checked;
+        const put = async (url, body, type) => {
+            const response = await fetch(url, { method: 'PUT', headers: { 'Content-Type': type }, body });
+            if (!response.ok) {
+                const detail = await response.json().catch(() => ({}));
+                throw new Error(detail.error || `HTTP ${response.status}`);
+            }
+        };
+
+        try {
+            const base = `/api/levels/${encodeURIComponent(levelId)}`;
+            await put(base, this.generateJson(), 'application/json');
+
+            if (this.image) {
+                await put(`${base}/image`, await this.getSourceImagePng(), 'image/png');
+            }
+
+            let pieceCount = 0;
+            if (imageMode && this.image) {
+                for (let i = 0; i < this.pieces.length; i++) {
+                    const bytes = await this.canvasToPngBytes(this.renderPieceCanvas(this.pieces[i]));
+                    await put(`${base}/pieces/${i + 1}`, bytes, 'image/png');
+                    pieceCount++;
+                }
+            }
+
+            document.getElementById('canvasInfo').textContent = pieceCount > 0
+                ? `Saved ${levelId} and ${pieceCount} piece images to the dev server`
+                : `Saved ${levelId} to the dev server`;
+            await this.refreshStagingList();
+        } catch (error) {
+            console.error('Save to dev server failed:', error);
+            alert(`Save to staging failed: ${error.message}`);
         }
     }
 
     async loadFromStaging(levelId) {
-        if (!this.stagingBase) {
+        if (!this.stagingBase && !this.stagingDir) {
             alert('Staging folder not found. Click "Refresh List" first.');
             return;
         }
 
+        const level = this.stagingLevels?.get(levelId) ||
+            { id: levelId, image: `images/${levelId}.png`, json: `json/${levelId}.json` };
+
         try {
             // Load image first
-            const imgResponse = await fetch(`${this.stagingBase}/images/${levelId}.png`);
-            if (!imgResponse.ok) throw new Error('Image not found');
-
-            const blob = await imgResponse.blob();
-            const img = new Image();
+            const blob = await this.readStagingFile(level.image);
+            if (!blob) throw new Error('Image not found');
 
             // Try to load JSON in parallel
             let jsonData = null;
             try {
-                const jsonResponse = await fetch(`${this.stagingBase}/json/${levelId}.json`);
-                if (jsonResponse.ok) {
-                    jsonData = await jsonResponse.json();
+                const jsonBlob = level.json ? await this.readStagingFile(level.json) : null;
+                if (jsonBlob) {
+                    jsonData = JSON.parse(await jsonBlob.text());
                 }
             } catch (e) {
                 // JSON load failed, continue with just image
                 console.log('No JSON found for', levelId);
             }
 
-            // Wait for image to load using a promise
-            await new Promise((resolve, reject) => {
-                img.onload = resolve;
-                img.onerror = reject;
-                img.src = URL.createObjectURL(blob);
-            });
-
             // Image loaded - apply it
-            this.image = img;
-            this.fitImageToCanvas();
+            const img = await this.loadImageBlob(blob);
 
-            // Clear existing data
-            this.silhouette = [];
-            this.pieces = [];
-            this.currentPiece = [];
+            // Clear existing data and apply JSON data if we have it
+            this.applyLevelJson(jsonData || {});
 
-            // Apply JSON data if we have it
             if (jsonData) {
-                // Load silhouette
-                if (jsonData.silhouette && jsonData.silhouette.points) {
-                    this.silhouette = jsonData.silhouette.points.map(p => ({ x: p[0], y: p[1] }));
-                }
-
-                // Load pieces
-                if (jsonData.pieces && jsonData.pieces.length > 0) {
-                    this.pieces = jsonData.pieces.map((p, i) => ({
-                        id: p.id || `piece_${i}`,
-                        color: this.getColorForIndex(i),
-                        vertices: p.vertices.map(v => ({ x: v[0], y: v[1] })),
-                        startPos: p.startPos ? { x: p.startPos[0], y: p.startPos[1] } : null
-                    }));
-                }
-
                 document.getElementById('canvasInfo').textContent =
                     `${img.width}x${img.height} - ${levelId}`;
             } else {
@@ -502,25 +1700,199 @@ class LevelEditor {
         }
     }
 
+    // Replace the editor state with a level JSON (as written by generateJson).
+    // Fields the editor doesn't edit are kept so export round-trips them unchanged.
+    applyLevelJson(jsonData) {
+        this.silhouette = [];
+        this.silhouetteLoops = [];
+        this.pieces = [];
+        this.currentPiece = [];
+        this.selectedPieceIndex = -1;
+        this.multiSelection = [];
+        this.validation = null;
+        this.generationSeed = null;
+
+        // Load silhouette: a multipolygon lists every region with its holes,
+        // a plain polygon only has points
+        const toPoints = points => points.map(p => ({ x: p[0], y: p[1] }));
+        if (jsonData.silhouette && jsonData.silhouette.type === 'multipolygon' &&
+            Array.isArray(jsonData.silhouette.polygons)) {
+            const loops = [];
+            jsonData.silhouette.polygons.forEach(polygon => {
+                loops.push({ points: toPoints(polygon.outer || []), hole: false });
+                (polygon.holes || []).forEach(hole => loops.push({ points: toPoints(hole), hole: true }));
+            });
+            this.setSilhouetteLoops(loops);
+        } else if (jsonData.silhouette && jsonData.silhouette.points) {
+            this.silhouette = toPoints(jsonData.silhouette.points);
+        }
+
+        // Load pieces
+        if (jsonData.pieces && jsonData.pieces.length > 0) {
+            this.pieces = jsonData.pieces.map((p, i) => {
+                const vertices = p.vertices.map(v => ({ x: v[0], y: v[1] }));
+                return {
+                    id: p.id || `piece_${i}`,
+                    color: this.getColorForIndex(i),
+                    vertices,
+                    startPos: p.startPos ? { x: p.startPos[0], y: p.startPos[1] } : this.calculateStartPos(vertices),
+                    startRotation: p.startRotation || 0,
+                    correctRotation: p.correctRotation || 0
+                };
+            });
+        }
+
+        // Metadata: form fields for what the editor manages, the rest is carried through
+        const { world, levelNumber, difficulty, imageName, seed } = jsonData.metadata || {};
+        this.extraMetadata = this.stripDerivedMetadata(jsonData.metadata);
+
+        const setField = (id, value) => {
+            const input = document.getElementById(id);
+            if (input && value !== undefined && value !== null) input.value = value;
+        };
+        setField('levelId', jsonData.id);
+        setField('worldId', world);
+        setField('difficulty', difficulty);
+        const imageModeInput = document.getElementById('imageMode');
+        if (imageModeInput && jsonData.metadata) imageModeInput.checked = !!imageName;
+
+        // Restore the generation seed and lock it so regenerating reproduces the level
+        if (seed !== undefined) {
+            this.generationSeed = seed >>> 0;
+            setField('seed', this.generationSeed);
+            const lockSeed = document.getElementById('lockSeed');
+            if (lockSeed) lockSeed.checked = true;
+        }
+
+        // Win conditions
+        const { requiredCoverage, snapThreshold, ...extraWinConditions } = jsonData.winConditions || {};
+        this.requiredCoverage = requiredCoverage ?? 0.95;
+        this.snapThreshold = snapThreshold ?? 0.05;
+        this.extraWinConditions = extraWinConditions;
+    }
+
+    // ===== LEVEL JSON IMPORT =====
+
+    // Metadata the editor doesn't manage. Fields generateJson() derives (theme from the world)
+    // are dropped too, so a stale imported value can't override them.
+    stripDerivedMetadata(metadata) {
+        const { world, levelNumber, difficulty, imageName, seed, theme, ...extra } = metadata || {};
+        return extra;
+    }
+
+    // Check the shapes applyLevelJson() reads, so a malformed file is rejected before
+    // anything is changed. Throws with a message naming the bad entry.
+    validateLevelJson(jsonData) {
+        const isPoint = p => Array.isArray(p) && p.length >= 2 && Number.isFinite(p[0]) && Number.isFinite(p[1]);
+        const checkPoints = (points, what) => {
+            if (!Array.isArray(points) || !points.every(isPoint)) {
+                throw new Error(`${what} must be a list of [x, y] number pairs`);
+            }
+        };
+
+        const silhouette = jsonData.silhouette;
+        if (silhouette) {
+            if (silhouette.type === 'multipolygon' && Array.isArray(silhouette.polygons)) {
+                silhouette.polygons.forEach((polygon, i) => {
+                    checkPoints(polygon && polygon.outer, `silhouette polygon ${i} outer ring`);
+                    if (polygon.holes !== undefined) {
+                        if (!Array.isArray(polygon.holes)) throw new Error(`silhouette polygon ${i} holes must be a list`);
+                        polygon.holes.forEach((hole, j) => checkPoints(hole, `silhouette polygon ${i} hole ${j}`));
+                    }
+                });
+            } else if (silhouette.points !== undefined) {
+                checkPoints(silhouette.points, 'silhouette points');
+            }
+        }
+
+        (jsonData.pieces || []).forEach((piece, i) => {
+            const name = `piece ${(piece && piece.id) || i}`;
+            if (!piece || !Array.isArray(piece.vertices)) throw new Error(`${name} has no vertices`);
+            checkPoints(piece.vertices, `${name} vertices`);
+            if (piece.vertices.length < 3) throw new Error(`${name} needs at least 3 vertices`);
+            if (piece.startPos && !isPoint(piece.startPos)) {
+                throw new Error(`${name} startPos must be an [x, y] number pair`);
+            }
+        });
+    }
+
+    isJsonFile(file) {
+        return file.type === 'application/json' || /\.json$/i.test(file.name);
+    }
+
+    importLevelFile(file) {
+        const reader = new FileReader();
+        reader.onload = (e) => this.importLevelJson(e.target.result, file.name);
+        reader.onerror = () => alert(`Unable to read ${file.name}`);
+        reader.readAsText(file);
+    }
+
+    // Import a level from JSON text (file picker, drop zone or pasted into the export modal)
+    importLevelJson(text, sourceName = 'pasted JSON') {
+        let jsonData;
+        try {
+            jsonData = JSON.parse(text);
+            if (!jsonData || typeof jsonData !== 'object' ||
+                !(Array.isArray(jsonData.pieces) || (jsonData.silhouette &&
+                    (Array.isArray(jsonData.silhouette.points) || Array.isArray(jsonData.silhouette.polygons))))) {
+                throw new Error('no silhouette or pieces found');
+            }
+            this.validateLevelJson(jsonData);
+        } catch (error) {
+            console.error('Failed to import level JSON:', error);
+            alert(`Failed to import ${sourceName}: ${error.message}`);
+            return false;
+        }
+
+        this.saveState();
+        this.applyLevelJson(jsonData);
+        this.updatePieceList();
+        this.render();
+
+        document.getElementById('canvasInfo').textContent = this.image
+            ? `Imported ${jsonData.id || sourceName}`
+            : `Imported ${jsonData.id || sourceName} - load the level image to trace over it`;
+        return true;
+    }
+
     getColorForIndex(index) {
         const colors = ['#99CCFF', '#FFADAD', '#B3F2B3', '#FFE699', '#E6B3FF', '#FFB366'];
         return colors[index % colors.length];
     }
 
     loadImage(file) {
-        const reader = new FileReader();
-        reader.onload = (e) => {
+        this.loadImageBlob(file).then(img => {
+            document.getElementById('canvasInfo').textContent =
+                `${img.width}x${img.height} - Click to trace`;
+            this.scheduleProjectSave();
+        }).catch(error => {
+            alert(`Failed to load image: ${error.message}`);
+        });
+    }
+
+    // Decode an image blob (file upload, project, staging) and make it the source image
+    loadImageBlob(blob) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(blob);
             const img = new Image();
             img.onload = () => {
+                URL.revokeObjectURL(url);
                 this.image = img;
+                this.imageBlob = blob;
+                this.maskEdit = null; // A refined mask belongs to the image it was painted on
+                this.maskUndo = [];
+                this.maskRedo = [];
+                this.updateMaskPanel();
                 this.fitImageToCanvas();
-                this.render();
-                document.getElementById('canvasInfo').textContent =
-                    `${img.width}x${img.height} - Click to trace`;
+                this.resetView();
+                resolve(img);
             };
-            img.src = e.target.result;
-        };
-        reader.readAsDataURL(file);
+            img.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Could not decode image'));
+            };
+            img.src = url;
+        });
     }
 
     fitImageToCanvas() {
@@ -544,43 +1916,322 @@ class LevelEditor {
         this.imageOffsetY = (this.canvasHeight - scaledHeight) / 2;
     }
 
+    // Without an image (e.g. a level imported on its own) the canvas itself is the frame
+    getImageSize() {
+        return this.image
+            ? { width: this.image.width, height: this.image.height }
+            : { width: this.canvasWidth, height: this.canvasHeight };
+    }
+
+    // Fitted image transform combined with the viewport zoom/pan
+    getViewTransform() {
+        return {
+            scale: this.imageScale * this.viewZoom,
+            offsetX: this.imageOffsetX * this.viewZoom + this.viewPanX,
+            offsetY: this.imageOffsetY * this.viewZoom + this.viewPanY
+        };
+    }
+
     // Convert canvas coordinates to normalized (0-1)
     canvasToNormalized(x, y) {
-        const nx = (x - this.imageOffsetX) / (this.image.width * this.imageScale);
-        const ny = (y - this.imageOffsetY) / (this.image.height * this.imageScale);
+        const view = this.getViewTransform();
+        const size = this.getImageSize();
+        const nx = (x - view.offsetX) / (size.width * view.scale);
+        const ny = (y - view.offsetY) / (size.height * view.scale);
         return { x: Math.max(0, Math.min(1, nx)), y: Math.max(0, Math.min(1, ny)) };
     }
 
     // Convert normalized to canvas coordinates
     normalizedToCanvas(nx, ny) {
-        const x = nx * this.image.width * this.imageScale + this.imageOffsetX;
-        const y = ny * this.image.height * this.imageScale + this.imageOffsetY;
+        const view = this.getViewTransform();
+        const size = this.getImageSize();
+        const x = nx * size.width * view.scale + view.offsetX;
+        const y = ny * size.height * view.scale + view.offsetY;
         return { x, y };
     }
 
-    handleCanvasClick(e) {
-        if (!this.image) return;
+    // ===== VIEWPORT (ZOOM & PAN) =====
 
-        const rect = this.canvas.getBoundingClientRect();
-        const x = e.clientX - rect.left;
-        const y = e.clientY - rect.top;
+    // Zoom keeping the canvas point (x, y) fixed on screen
+    zoomAt(x, y, factor) {
+        const zoom = Math.max(this.minZoom, Math.min(this.maxZoom, this.viewZoom * factor));
+        // Position of (x, y) in unzoomed canvas space
+        const baseX = (x - this.viewPanX) / this.viewZoom;
+        const baseY = (y - this.viewPanY) / this.viewZoom;
+        this.setView(zoom, x - baseX * zoom, y - baseY * zoom);
+    }
 
-        if (this.currentTool === 'draw') {
-            const point = this.canvasToNormalized(x, y);
-            this.currentPiece.push(point);
-            this.render();
-        } else if (this.currentTool === 'select') {
-            this.selectPieceAt(x, y);
-        }
+    setView(zoom, panX, panY) {
+        this.viewZoom = zoom;
+        this.viewPanX = panX;
+        this.viewPanY = panY;
+        this.updateZoomIndicator();
+        this.render();
     }
 
-    handleCanvasDoubleClick(e) {
-        if (this.currentTool === 'draw' && this.currentPiece.length >= 3) {
-            this.finishPiece();
-        }
+    // Reset zoom/pan so the whole image fits the canvas again
+    resetView() {
+        this.setView(1, 0, 0);
+    }
+
+    updateZoomIndicator() {
+        const zoomLevel = document.getElementById('zoomLevel');
+        if (zoomLevel) {
+            zoomLevel.textContent = `${Math.round(this.viewZoom * 100)}%`;
+        }
+    }
+
+    setupViewportControls() {
+        // Mouse wheel zooms around the cursor
+        this.canvas.addEventListener('wheel', (e) => {
+            if (!this.image) return;
+            e.preventDefault();
+            const rect = this.canvas.getBoundingClientRect();
+            this.zoomAt(e.clientX - rect.left, e.clientY - rect.top, Math.exp(-e.deltaY * 0.0015));
+        }, { passive: false });
+
+        // Hold space to pan with the left mouse button
+        document.addEventListener('keydown', (e) => {
+            if (e.code !== 'Space' || this.isTypingTarget(e.target)) return;
+            e.preventDefault();
+            if (!this.spaceDown) {
+                this.spaceDown = true;
+                this.canvas.style.cursor = 'grab';
+            }
+        });
+        document.addEventListener('keyup', (e) => {
+            if (e.code !== 'Space') return;
+            this.spaceDown = false;
+            if (!this.panDrag) this.canvas.style.cursor = '';
+        });
+
+        const zoomButtons = {
+            'zoomIn': () => this.zoomAt(this.canvasWidth / 2, this.canvasHeight / 2, 1.25),
+            'zoomOut': () => this.zoomAt(this.canvasWidth / 2, this.canvasHeight / 2, 0.8),
+            'zoomFit': () => this.resetView()
+        };
+        Object.entries(zoomButtons).forEach(([id, handler]) => {
+            const btn = document.getElementById(id);
+            if (btn) btn.addEventListener('click', handler);
+        });
+
+        this.updateZoomIndicator();
+    }
+
+    // Start a pan drag (middle button, or left button while space is held)
+    startPan(e) {
+        if (!(e.button === 1 || (e.button === 0 && this.spaceDown))) return false;
+        e.preventDefault();
+        this.panDrag = {
+            startX: e.clientX,
+            startY: e.clientY,
+            panX: this.viewPanX,
+            panY: this.viewPanY,
+            moved: false
+        };
+        this.canvas.style.cursor = 'grabbing';
+        return true;
+    }
+
+    updatePan(e) {
+        const dx = e.clientX - this.panDrag.startX;
+        const dy = e.clientY - this.panDrag.startY;
+        if (Math.abs(dx) + Math.abs(dy) > 2) this.panDrag.moved = true;
+        this.setView(this.viewZoom, this.panDrag.panX + dx, this.panDrag.panY + dy);
+    }
+
+    endPan() {
+        // The click that follows a space-drag must not add a point or select
+        if (this.panDrag.moved) this.suppressNextClick = true;
+        this.panDrag = null;
+        this.canvas.style.cursor = this.spaceDown ? 'grab' : '';
+    }
+
+    // Begin pinch-zoom / two-finger pan from a two-touch event
+    startTouchGesture(touches) {
+        const rect = this.canvas.getBoundingClientRect();
+        const midX = (touches[0].clientX + touches[1].clientX) / 2 - rect.left;
+        const midY = (touches[0].clientY + touches[1].clientY) / 2 - rect.top;
+        this.touchGesture = {
+            baseX: (midX - this.viewPanX) / this.viewZoom,
+            baseY: (midY - this.viewPanY) / this.viewZoom,
+            startDist: Math.max(1, Math.hypot(
+                touches[0].clientX - touches[1].clientX,
+                touches[0].clientY - touches[1].clientY
+            )),
+            startZoom: this.viewZoom
+        };
+    }
+
+    updateTouchGesture(touches) {
+        const gesture = this.touchGesture;
+        const rect = this.canvas.getBoundingClientRect();
+        const midX = (touches[0].clientX + touches[1].clientX) / 2 - rect.left;
+        const midY = (touches[0].clientY + touches[1].clientY) / 2 - rect.top;
+        const dist = Math.hypot(
+            touches[0].clientX - touches[1].clientX,
+            touches[0].clientY - touches[1].clientY
+        );
+        const zoom = Math.max(this.minZoom, Math.min(this.maxZoom, gesture.startZoom * dist / gesture.startDist));
+        // Keep the point that started under the fingers' midpoint under it
+        this.setView(zoom, midX - gesture.baseX * zoom, midY - gesture.baseY * zoom);
+    }
+
+    handleCanvasClick(e) {
+        if (!this.image) return;
+        if (this.suppressNextClick) {
+            this.suppressNextClick = false;
+            return;
+        }
+        // The scatter preview and play-test mode select and drag on mousedown
+        if (this.showScattered || this.playMode) return;
+
+        const rect = this.canvas.getBoundingClientRect();
+        const x = e.clientX - rect.left;
+        const y = e.clientY - rect.top;
+
+        if (this.currentTool === 'draw') {
+            const point = this.canvasToNormalized(x, y);
+            this.currentPiece.push(point);
+            this.render();
+        } else if (this.currentTool === 'select') {
+            this.selectPieceAt(x, y, e.shiftKey);
+        }
+    }
+
+    handleCanvasDoubleClick(e) {
+        if (this.playMode) return;
+        if (this.currentTool === 'draw' && this.currentPiece.length >= 3) {
+            this.finishPiece();
+        } else if (this.currentTool === 'vertex' && this.activeVertex) {
+            // Double-click a handle to remove it
+            this.deleteVertex(this.activeVertex.target, this.activeVertex.index);
+        }
+    }
+
+    setTool(tool) {
+        const wasMask = this.currentTool === 'mask';
+        this.currentTool = tool;
+        this.maskCursor = null;
+        // The mask overlay is always shown while painting it
+        if (tool === 'mask' || wasMask) this.scheduleMaskOverlay();
+        this.vertexDrag = null;
+        this.activeVertex = null;
+        this.hoverVertex = null;
+        this.knifeLine = null;
+        this.canvas.style.cursor = '';
+        // Start rotations are set on the scattered pieces
+        if (tool === 'rotate' && !this.showScattered && this.pieces.length > 0) {
+            this.toggleScatterPreview();
+            return;
+        }
+        this.render();
+    }
+
+    handleCanvasMouseDown(e) {
+        if (!this.image) return;
+        if (this.startPan(e)) return;
+
+        const rect = this.canvas.getBoundingClientRect();
+        const x = e.clientX - rect.left;
+        const y = e.clientY - rect.top;
+
+        if (this.playMode) {
+            this.startPlayDrag(x, y);
+            return;
+        }
+
+        if (this.showScattered) {
+            if (this.currentTool === 'rotate' && this.startRotationDrag(x, y)) return;
+            this.startScatterDrag(x, y, e.shiftKey);
+            return;
+        }
+
+        if (this.currentTool === 'knife') {
+            const point = this.canvasToNormalized(x, y);
+            this.knifeLine = { start: point, end: point };
+            return;
+        }
+        if (this.currentTool === 'mask') {
+            this.startMaskStroke(x, y, e.shiftKey);
+            return;
+        }
+        if (this.currentTool !== 'vertex') return;
+
+        let hit = this.findVertexAt(x, y);
+
+        if (hit && e.altKey) {
+            // Alt-click a handle to remove it
+            this.deleteVertex(hit.target, hit.index);
+            return;
+        }
+
+        if (!hit) {
+            // Clicking an edge inserts a new vertex there and starts dragging it
+            const edgeHit = this.findEdgeAt(x, y);
+            if (!edgeHit) {
+                this.activeVertex = null;
+                this.render();
+                return;
+            }
+            this.saveState();
+            hit = this.insertVertex(edgeHit.target, edgeHit.index, edgeHit.point);
+            this.vertexDrag = { ...hit, linked: this.findLinkedVertices(hit), moved: true };
+        } else {
+            this.vertexDrag = { ...hit, linked: this.findLinkedVertices(hit), moved: false };
+        }
+
+        this.activeVertex = hit;
+        if (hit.target.type === 'piece') {
+            this.selectedPieceIndex = hit.target.index;
+            this.updatePieceList();
+        }
+        this.render();
+    }
+
+    handleCanvasMouseUp() {
+        if (this.panDrag) {
+            this.endPan();
+            return;
+        }
+        if (this.playMode) {
+            this.endPlayDrag();
+            return;
+        }
+        if (this.scatterDrag) {
+            this.endScatterDrag();
+            return;
+        }
+        if (this.rotationDrag) {
+            this.endRotationDrag();
+            return;
+        }
+        if (this.knifeLine) {
+            const line = this.knifeLine;
+            this.knifeLine = null;
+            this.applyKnifeCut(line.start, line.end);
+            return;
+        }
+        if (this.maskStroke) {
+            this.endMaskStroke();
+            return;
+        }
+        if (!this.vertexDrag) return;
+        const moved = this.vertexDrag.moved;
+        this.vertexDrag = null;
+        if (moved) {
+            this.updatePieceList();
+            this.scheduleProjectSave(); // saveState() only saved the start of the drag
+        }
+        this.render();
     }
 
     handleCanvasMouseMove(e) {
+        if (this.panDrag) {
+            this.updatePan(e);
+            return;
+        }
+
         const rect = this.canvas.getBoundingClientRect();
         const x = e.clientX - rect.left;
         const y = e.clientY - rect.top;
@@ -591,6 +2242,51 @@ class LevelEditor {
                 `(${norm.x.toFixed(3)}, ${norm.y.toFixed(3)})`;
         }
 
+        // Drag a piece in play-test mode
+        if (this.playMode) {
+            this.movePlayDrag(x, y);
+            return;
+        }
+
+        // Drag a piece's start position
+        if (this.scatterDrag) {
+            this.moveScatterDrag(x, y);
+            return;
+        }
+
+        // Drag the rotate handle
+        if (this.rotationDrag) {
+            this.moveRotationDrag(x, y, e.shiftKey);
+            return;
+        }
+
+        // Drag the knife line
+        if (this.knifeLine) {
+            this.knifeLine.end = this.canvasToNormalized(x, y);
+            this.render();
+            return;
+        }
+
+        // Paint the mask, or just move the brush outline
+        if (this.currentTool === 'mask' && this.image && !this.showScattered) {
+            this.moveMaskStroke(x, y);
+            return;
+        }
+
+        // Drag or hover vertex handles
+        if (this.currentTool === 'vertex' && this.image && !this.showScattered) {
+            if (this.vertexDrag) {
+                this.moveDraggedVertex(this.canvasToNormalized(x, y), e.shiftKey);
+            } else {
+                const hover = this.findVertexAt(x, y);
+                const changed = !this.isSameVertex(hover, this.hoverVertex);
+                this.hoverVertex = hover;
+                this.canvas.style.cursor = hover ? 'move' : (this.findEdgeAt(x, y) ? 'copy' : '');
+                if (changed) this.render();
+            }
+            return;
+        }
+
         // Preview line while drawing
         if (this.currentTool === 'draw' && this.currentPiece.length > 0) {
             this.render();
@@ -617,9 +2313,12 @@ class LevelEditor {
             id: `piece_${this.pieces.length + 1}`,
             color: this.currentColor,
             vertices: [...this.currentPiece],
-            startPos: this.calculateStartPos(this.currentPiece)
+            startPos: null
         };
 
+        // Find a free spot in the tray, keeping existing pieces where they are
+        this.randomizeStartRotations([piece]);
+        this.packStartPositions([piece], this.pieces);
         this.pieces.push(piece);
         this.currentPiece = [];
         this.updatePieceList();
@@ -633,8 +2332,8 @@ class LevelEditor {
         // Random position at bottom of screen for puzzle pieces
         const centerX = vertices.reduce((sum, v) => sum + v.x, 0) / vertices.length;
         return {
-            x: 0.1 + Math.random() * 0.8,
-            y: 0.75 + Math.random() * 0.15
+            x: 0.1 + this.random() * 0.8,
+            y: 0.75 + this.random() * 0.15
         };
     }
 
@@ -673,24 +2372,54 @@ class LevelEditor {
         });
     }
 
-    selectPieceAt(x, y) {
+    selectPieceAt(x, y, additive = false) {
         const point = this.canvasToNormalized(x, y);
 
         // Find piece containing this point
         for (let i = this.pieces.length - 1; i >= 0; i--) {
             if (this.pointInPolygon(point, this.pieces[i].vertices)) {
-                this.selectedPieceIndex = i;
-                this.updatePieceList();
-                this.render();
+                this.selectPiece(i, additive);
                 return;
             }
         }
 
-        this.selectedPieceIndex = -1;
+        if (!additive) {
+            this.selectPiece(-1);
+        }
+    }
+
+    // Select a piece; with additive (Shift) the piece is toggled in the multi-selection
+    selectPiece(index, additive = false) {
+        if (!additive || index < 0) {
+            this.multiSelection = [];
+            this.selectedPieceIndex = index;
+        } else {
+            const piece = this.pieces[index];
+            if (this.multiSelection.length === 0 && this.pieces[this.selectedPieceIndex]) {
+                this.multiSelection.push(this.pieces[this.selectedPieceIndex]);
+            }
+            const existing = this.multiSelection.indexOf(piece);
+            if (existing >= 0) {
+                this.multiSelection.splice(existing, 1);
+                const last = this.multiSelection[this.multiSelection.length - 1];
+                this.selectedPieceIndex = last ? this.pieces.indexOf(last) : -1;
+            } else {
+                this.multiSelection.push(piece);
+                this.selectedPieceIndex = index;
+            }
+        }
         this.updatePieceList();
         this.render();
     }
 
+    isPieceSelected(index) {
+        return index === this.selectedPieceIndex || this.multiSelection.includes(this.pieces[index]);
+    }
+
+    getSelectedPieceIndices() {
+        return this.pieces.map((piece, index) => index).filter(index => this.isPieceSelected(index));
+    }
+
     pointInPolygon(point, vertices) {
         let inside = false;
         for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
@@ -704,862 +2433,3705 @@ class LevelEditor {
         return inside;
     }
 
-    // Auto-split the silhouette into N pieces using grid-based approach
-    // Pieces are clipped to the silhouette boundary
-    autoSplitPieces() {
-        if (this.silhouette.length < 3) {
-            alert('Please trace a silhouette first');
-            return;
-        }
-
-        const numPieces = parseInt(document.getElementById('numPieces').value) || 5;
+    // ===== SILHOUETTE REGIONS =====
+    // this.silhouette is the main outline; this.silhouetteLoops adds separate regions and
+    // holes. Inside means inside an odd number of outlines, so a hole can hold an island.
 
-        this.saveState();
+    getSilhouetteRings() {
+        return [this.silhouette, ...this.silhouetteLoops.map(loop => loop.points)];
+    }
 
-        // Find bounding box of silhouette
-        const minX = Math.min(...this.silhouette.map(p => p.x));
-        const maxX = Math.max(...this.silhouette.map(p => p.x));
-        const minY = Math.min(...this.silhouette.map(p => p.y));
-        const maxY = Math.max(...this.silhouette.map(p => p.y));
+    pointInSilhouette(point) {
+        let inside = false;
+        this.getSilhouetteRings().forEach(ring => {
+            if (ring.length >= 3 && this.pointInPolygon(point, ring)) inside = !inside;
+        });
+        return inside;
+    }
 
-        const colors = ['#99CCFF', '#FFADAD', '#B3F2B3', '#FFE699', '#E6B3FF', '#FFB366'];
+    getSilhouetteBounds() {
+        return this.getPolygonBounds(this.getSilhouetteRings().flat());
+    }
 
-        let workingPieces = [this.silhouette.map(p => ({ ...p }))];
-        const maxAttempts = numPieces * 30;
-        let attempts = 0;
+    // Outer outlines with the holes directly inside them: [{ outer, holes }]
+    getSilhouetteRegions() {
+        const regions = [this.silhouette, ...this.silhouetteLoops.filter(loop => !loop.hole).map(loop => loop.points)]
+            .filter(ring => ring.length >= 3)
+            .map(outer => ({ outer, holes: [], area: Math.abs(this.polygonArea(outer)) }));
+
+        this.silhouetteLoops.filter(loop => loop.hole && loop.points.length >= 3).forEach(loop => {
+            // The smallest outline around the hole owns it
+            const owner = regions
+                .filter(region => this.pointInPolygon(loop.points[0], region.outer))
+                .sort((a, b) => a.area - b.area)[0];
+            if (owner) owner.holes.push(loop.points);
+        });
 
-        while (workingPieces.length < numPieces && attempts < maxAttempts) {
-            attempts++;
+        return regions.map(({ outer, holes }) => ({ outer, holes }));
+    }
 
-            // Split the largest remaining piece to avoid tiny fragments early
-            let largestIndex = 0;
-            let largestArea = Math.abs(this.polygonArea(workingPieces[0]));
-            for (let i = 1; i < workingPieces.length; i++) {
-                const area = Math.abs(this.polygonArea(workingPieces[i]));
-                if (area > largestArea) {
-                    largestArea = area;
-                    largestIndex = i;
-                }
+    // Replace the silhouette with a set of outlines ({ points, hole }); the largest
+    // outer one becomes the main outline
+    setSilhouetteLoops(loops) {
+        const valid = loops.filter(loop => loop.points.length >= 3);
+        let main = null;
+        valid.filter(loop => !loop.hole).forEach(loop => {
+            if (!main || Math.abs(this.polygonArea(loop.points)) > Math.abs(this.polygonArea(main.points))) {
+                main = loop;
             }
+        });
+        this.silhouette = main ? main.points : [];
+        this.silhouetteLoops = valid.filter(loop => loop !== main);
+    }
 
-            const targetPiece = workingPieces[largestIndex];
-            const splitResult = this.splitPolygonRandomly(targetPiece, largestArea, workingPieces.length, numPieces);
+    // Traced outlines are outer or hole by nesting depth (inside an odd number of others = hole)
+    classifyLoops(loops) {
+        return loops.map((points, i) => {
+            const depth = loops.filter((other, j) => j !== i && this.pointInPolygon(points[0], other)).length;
+            return { points, depth, hole: depth % 2 === 1 };
+        });
+    }
 
-            if (splitResult) {
-                workingPieces.splice(largestIndex, 1);
-                workingPieces.push(splitResult.front, splitResult.back);
+    // Simple polygons that together make up the silhouette: each region on its own, with
+    // regions that have holes cut straight through them until no hole is enclosed
+    splitSilhouetteIntoParts() {
+        const parts = [];
+        const queue = this.getSilhouetteRegions();
+        let cuts = 0;
+
+        while (queue.length > 0) {
+            const region = queue.shift();
+            if (region.holes.length === 0) {
+                parts.push(region.outer.map(p => ({ ...p })));
+                continue;
             }
-        }
 
-        if (workingPieces.length < numPieces) {
-            console.warn(`Auto-split produced ${workingPieces.length} pieces (target ${numPieces})`);
+            const pieces = cuts++ < 100 ? this.cutRegionThroughHole(region, region.holes[0]) : null;
+            if (pieces) {
+                queue.push(...pieces);
+            } else {
+                console.warn('Could not cut through a silhouette hole; splitting without it');
+                parts.push(region.outer.map(p => ({ ...p })));
+            }
         }
 
-        // Clear existing pieces and rebuild from generated polygons
-        this.pieces = workingPieces.slice(0, numPieces).map((vertices, index) => ({
-            id: `piece_${index + 1}`,
-            color: colors[index % colors.length],
-            vertices,
-            startPos: {
-                x: 0.1 + Math.random() * 0.8,
-                y: 0.75 + Math.random() * 0.15
-            }
-        }));
+        return parts;
+    }
 
-        console.log(`Created ${this.pieces.length} organic pieces (target ${numPieces})`);
+    // Cut a region along the vertical line through the middle of one of its holes.
+    // Returns the regions either side, or null if the cut did not open up the hole.
+    cutRegionThroughHole(region, hole) {
+        const bounds = this.getPolygonBounds(hole);
+        const point = { x: (bounds.minX + bounds.maxX) / 2, y: 0 };
+        const bridged = this.bridgeHoles(region.outer, region.holes);
+        const result = [];
 
-        this.updatePieceList();
-        this.render();
-    }
+        for (const normal of [{ x: 1, y: 0 }, { x: -1, y: 0 }]) {
+            const half = this.clipPolygonToHalfPlane(bridged, point, normal);
+            if (half.length < 3 || Math.abs(this.polygonArea(half)) < 1e-6) continue;
 
-    // Quick generate: trace silhouette + auto-split in one click
-    quickGenerate() {
-        if (!this.image) {
-            alert('Please load an image first');
-            return;
+            let rings;
+            try {
+                rings = this.traceRingBoundaries([half]);
+            } catch (e) {
+                return null;
+            }
+            const regions = rings.outer.map(outer => ({ outer: this.removeCollinearPoints(outer), holes: [] }));
+            rings.holes.forEach(inner => {
+                const owner = regions.find(r => this.pointInPolygon(inner[0], r.outer));
+                if (owner) owner.holes.push(inner);
+            });
+            result.push(...regions);
         }
 
-        // Save state before making changes
-        this.saveState();
+        const holesBefore = region.holes.length;
+        const holesAfter = result.reduce((sum, r) => sum + r.holes.length, 0);
+        return result.length > 0 && holesAfter < holesBefore ? result : null;
+    }
 
-        // First, trace the silhouette
-        this.autoTraceSilhouette();
+    // One weakly simple polygon for an outline with holes: each hole is joined to the
+    // outline by a zero-width cut (a pair of opposite edges) so clipping can handle it
+    bridgeHoles(outer, holes) {
+        const EPS = 1e-9;
+        let polygon = this.polygonArea(outer) < 0 ? [...outer].reverse() : [...outer];
+        const ordered = holes
+            .map(hole => (this.polygonArea(hole) > 0 ? [...hole].reverse() : [...hole]))
+            .sort((a, b) => this.getPolygonBounds(b).maxX - this.getPolygonBounds(a).maxX);
+
+        ordered.forEach((hole, h) => {
+            // Join the rightmost hole vertex to the nearest outline vertex it can see
+            const start = hole.reduce((best, p, i) => (p.x > hole[best].x ? i : best), 0);
+            const from = hole[start];
+            const rings = [polygon, ...ordered.slice(h)];
+            const blocked = (to) => rings.some(ring => ring.some((a, i) => {
+                const b = ring[(i + 1) % ring.length];
+                if ([a, b].some(p => this.distanceSquared(p, to) < EPS || this.distanceSquared(p, from) < EPS)) {
+                    return false;
+                }
+                return this.lineIntersection(from, to, a, b) !== null;
+            }));
 
-        // Then auto-split into pieces
-        if (this.silhouette.length >= 3) {
-            this.autoSplitPieces();
+            const candidates = polygon
+                .map((p, i) => ({ i, distance: this.distanceSquared(p, from) }))
+                .sort((a, b) => a.distance - b.distance);
+            const target = (candidates.find(c => !blocked(polygon[c.i])) || candidates[0]).i;
+
+            const loop = [...hole.slice(start), ...hole.slice(0, start), { ...from }];
+            polygon = [
+                ...polygon.slice(0, target + 1),
+                ...loop,
+                { ...polygon[target] },
+                ...polygon.slice(target + 1)
+            ];
+        });
 
-            // Auto-enable image mode for convenience
-            const imageModeCheckbox = document.getElementById('imageMode');
-            if (imageModeCheckbox) {
-                imageModeCheckbox.checked = true;
-            }
+        return polygon;
+    }
 
-            // Auto-increment level ID
-            this.autoIncrementLevelId();
+    // Pieces per part in proportion to its area (largest remainder), at least one each
+    allocatePiecesByArea(parts, numPieces) {
+        const areas = parts.map(part => Math.abs(this.polygonArea(part)));
+        const total = areas.reduce((sum, area) => sum + area, 0) || 1;
+        const spare = Math.max(0, numPieces - parts.length);
+        const shares = areas.map(area => area / total * spare);
+        const counts = shares.map(share => 1 + Math.floor(share));
+
+        let remaining = spare - shares.reduce((sum, share) => sum + Math.floor(share), 0);
+        shares
+            .map((share, i) => ({ i, fraction: share - Math.floor(share) }))
+            .sort((a, b) => b.fraction - a.fraction)
+            .forEach(({ i }) => {
+                if (remaining-- > 0) counts[i]++;
+            });
+
+        return counts;
+    }
+
+    // ===== VERTEX EDITING =====
+
+    // Vertex tool targets are either { type: 'piece', index } or { type: 'silhouette', index },
+    // where the silhouette index counts the outlines of getSilhouetteRings()
+    getEditablePolygon(target) {
+        if (target.type === 'silhouette') return this.getSilhouetteRings()[target.index] || null;
+        const piece = this.pieces[target.index];
+        return piece ? piece.vertices : null;
+    }
+
+    // All polygons the vertex tool can edit, selected piece first so it wins hit-tests
+    getEditableTargets() {
+        const targets = [];
+        if (this.selectedPieceIndex >= 0 && this.pieces[this.selectedPieceIndex]) {
+            targets.push({ type: 'piece', index: this.selectedPieceIndex });
+        }
+        for (let i = this.pieces.length - 1; i >= 0; i--) {
+            if (i !== this.selectedPieceIndex) targets.push({ type: 'piece', index: i });
         }
+        this.getSilhouetteRings().forEach((ring, index) => {
+            if (ring.length >= 3) targets.push({ type: 'silhouette', index });
+        });
+        return targets;
     }
 
-    // Auto-increment level ID based on current value
-    autoIncrementLevelId() {
-        const levelIdInput = document.getElementById('levelId');
-        if (!levelIdInput) return;
+    isSameVertex(a, b) {
+        if (!a || !b) return a === b;
+        return a.index === b.index &&
+            a.target.type === b.target.type &&
+            a.target.index === b.target.index;
+    }
 
-        const currentId = levelIdInput.value;
-        const match = currentId.match(/^level_(\d+)$/);
-        if (match) {
-            const currentNum = parseInt(match[1], 10);
-            // Only increment if it looks like we're on a fresh level
-            // (don't increment if user is editing)
+    // Find the vertex handle under a canvas point (radius in canvas pixels)
+    findVertexAt(x, y, radius = 8) {
+        const radiusSq = radius * radius;
+        for (const target of this.getEditableTargets()) {
+            const vertices = this.getEditablePolygon(target);
+            for (let i = 0; i < vertices.length; i++) {
+                const p = this.normalizedToCanvas(vertices[i].x, vertices[i].y);
+                if (this.distanceSquared(p, { x, y }) <= radiusSq) {
+                    return { target, index: i };
+                }
+            }
         }
+        return null;
     }
 
-    // Toggle between showing pieces in place vs scattered (preview mode)
-    toggleScatterPreview() {
-        if (this.pieces.length === 0) {
-            alert('No pieces to preview');
-            return;
+    // Find the polygon edge under a canvas point; returns the index of the edge start
+    // and the projected point (normalized) where a new vertex would go
+    findEdgeAt(x, y, tolerance = 6) {
+        for (const target of this.getEditableTargets()) {
+            const vertices = this.getEditablePolygon(target);
+            for (let i = 0; i < vertices.length; i++) {
+                const a = this.normalizedToCanvas(vertices[i].x, vertices[i].y);
+                const next = vertices[(i + 1) % vertices.length];
+                const b = this.normalizedToCanvas(next.x, next.y);
+                const projection = this.projectPointOnSegment({ x, y }, a, b);
+                if (this.distanceSquared(projection, { x, y }) <= tolerance * tolerance) {
+                    return {
+                        target,
+                        index: i,
+                        point: this.canvasToNormalized(projection.x, projection.y)
+                    };
+                }
+            }
         }
+        return null;
+    }
 
-        this.showScattered = !this.showScattered;
+    projectPointOnSegment(point, a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSq = dx * dx + dy * dy;
+        if (lengthSq === 0) return { x: a.x, y: a.y };
+        const t = Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSq));
+        return { x: a.x + dx * t, y: a.y + dy * t };
+    }
 
-        // Update button text
-        const btn = document.getElementById('previewScatter');
-        if (btn) {
-            if (this.showScattered) {
-                btn.innerHTML = `
-                    <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                        <rect x="3" y="3" width="18" height="18" rx="2"/>
-                    </svg>
-                    Show In Place
-                `;
-            } else {
-                btn.innerHTML = `
-                    <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                        <circle cx="12" cy="12" r="1"/>
-                        <circle cx="6" cy="18" r="1"/>
-                        <circle cx="18" cy="18" r="1"/>
-                        <circle cx="8" cy="6" r="1"/>
-                        <circle cx="16" cy="8" r="1"/>
-                    </svg>
-                    Preview Scattered
-                `;
+    // Vertices in other polygons sitting on the same spot (shared cut edges from auto-split).
+    // They move together so neighbouring pieces stay sealed; hold Shift to drag one alone.
+    findLinkedVertices(hit) {
+        const source = this.getEditablePolygon(hit.target)[hit.index];
+        const EPS = 1e-4;
+        const linked = [];
+        for (const target of this.getEditableTargets()) {
+            const vertices = this.getEditablePolygon(target);
+            for (let i = 0; i < vertices.length; i++) {
+                if (target.type === hit.target.type && target.index === hit.target.index && i === hit.index) continue;
+                if (this.distanceSquared(vertices[i], source) < EPS * EPS) {
+                    linked.push({ target, index: i });
+                }
             }
         }
+        return linked;
+    }
 
-        this.render();
+    insertVertex(target, edgeIndex, point) {
+        const vertices = this.getEditablePolygon(target);
+        vertices.splice(edgeIndex + 1, 0, { x: point.x, y: point.y });
+        return { target, index: edgeIndex + 1 };
     }
 
-    // Clip (possibly concave) subject polygon to a convex clip polygon (e.g., grid cell)
-    clipPolygonToPolygon(subjectPolygon, clipPolygon) {
-        if (subjectPolygon.length === 0 || clipPolygon.length < 3) {
-            return [];
+    moveDraggedVertex(point, moveAlone = false) {
+        const drag = this.vertexDrag;
+        if (!drag.moved) {
+            this.saveState(); // Save before the first movement of this drag
+            drag.moved = true;
         }
 
-        const isClipClockwise = this.isPolygonClockwise(clipPolygon);
-        let outputList = [...subjectPolygon];
-
-        for (let i = 0; i < clipPolygon.length; i++) {
-            if (outputList.length === 0) break;
-
-            const inputList = outputList;
-            outputList = [];
-
-            const edgeStart = clipPolygon[i];
-            const edgeEnd = clipPolygon[(i + 1) % clipPolygon.length];
-
-            for (let j = 0; j < inputList.length; j++) {
-                const current = inputList[j];
-                const previous = inputList[(j + inputList.length - 1) % inputList.length];
-
-                const currentInside = this.isPointInsideEdge(current, edgeStart, edgeEnd, isClipClockwise);
-                const previousInside = this.isPointInsideEdge(previous, edgeStart, edgeEnd, isClipClockwise);
+        const moveTo = ({ target, index }) => {
+            // Replace rather than mutate: split pieces may share vertex objects
+            this.getEditablePolygon(target)[index] = { x: point.x, y: point.y };
+        };
+        moveTo(drag);
+        if (!moveAlone) {
+            drag.linked.forEach(moveTo);
+        }
+        this.render();
+    }
 
-                if (currentInside) {
-                    if (!previousInside) {
-                        // Entering: add intersection point
-                        const intersection = this.lineIntersection(previous, current, edgeStart, edgeEnd);
-                        if (intersection) outputList.push(intersection);
-                    }
-                    outputList.push(current);
-                } else if (previousInside) {
-                    // Leaving: add intersection point
-                    const intersection = this.lineIntersection(previous, current, edgeStart, edgeEnd);
-                    if (intersection) outputList.push(intersection);
-                }
-            }
+    deleteVertex(target, index) {
+        const vertices = this.getEditablePolygon(target);
+        if (!vertices || index >= vertices.length) return;
+        if (vertices.length <= 3) {
+            alert('A polygon needs at least 3 vertices. Delete the piece instead.');
+            return;
         }
 
-        return outputList;
+        this.saveState();
+        vertices.splice(index, 1);
+        this.activeVertex = null;
+        this.hoverVertex = null;
+        this.vertexDrag = null;
+        this.updatePieceList();
+        this.render();
     }
 
-    // Check if point is on the inside side of the edge (supports CW + CCW silhouettes)
-    isPointInsideEdge(point, lineStart, lineEnd, clipIsClockwise) {
-        const cross = ((lineEnd.x - lineStart.x) * (point.y - lineStart.y)) -
-                      ((lineEnd.y - lineStart.y) * (point.x - lineStart.x));
-        return clipIsClockwise ? cross <= 0 : cross >= 0;
+    drawVertexHandles() {
+        for (const target of this.getEditableTargets().reverse()) {
+            const vertices = this.getEditablePolygon(target);
+            const isSelected = target.type === 'piece' && target.index === this.selectedPieceIndex;
+            vertices.forEach((v, index) => {
+                const p = this.normalizedToCanvas(v.x, v.y);
+                const hit = { target, index };
+                const isActive = this.isSameVertex(hit, this.activeVertex) ||
+                    this.isSameVertex(hit, this.hoverVertex);
+                const size = isActive ? 10 : (isSelected ? 8 : 6);
+                this.ctx.fillStyle = isActive ? '#4a90d9' : '#fff';
+                this.ctx.strokeStyle = '#1a1a2e';
+                this.ctx.lineWidth = 1;
+                this.ctx.fillRect(p.x - size / 2, p.y - size / 2, size, size);
+                this.ctx.strokeRect(p.x - size / 2, p.y - size / 2, size, size);
+            });
+        }
     }
 
-    isPolygonClockwise(vertices) {
-        if (vertices.length < 3) return false;
+    // ===== KNIFE TOOL =====
 
-        let area = 0;
+    // Number of times the segment start-end crosses the polygon boundary
+    countSegmentCrossings(start, end, vertices) {
+        let crossings = 0;
         for (let i = 0; i < vertices.length; i++) {
-            const current = vertices[i];
             const next = vertices[(i + 1) % vertices.length];
-            area += (current.x * next.y) - (next.x * current.y);
+            if (this.lineIntersection(start, end, vertices[i], next)) {
+                crossings++;
+            }
         }
-
-        return area < 0;
+        return crossings;
     }
 
-    polygonArea(vertices) {
-        if (vertices.length < 3) return 0;
-        let area = 0;
-        for (let i = 0; i < vertices.length; i++) {
-            const current = vertices[i];
-            const next = vertices[(i + 1) % vertices.length];
-            area += (current.x * next.y) - (next.x * current.y);
+    // Which polygon a knife cut applies to: the selected piece, otherwise the topmost
+    // piece the cut crosses, otherwise the silhouette when no pieces exist yet
+    findKnifeTarget(start, end) {
+        if (this.selectedPieceIndex >= 0 && this.pieces[this.selectedPieceIndex]) {
+            return { type: 'piece', index: this.selectedPieceIndex };
         }
-        return area / 2;
+        for (let i = this.pieces.length - 1; i >= 0; i--) {
+            if (this.countSegmentCrossings(start, end, this.pieces[i].vertices) >= 2) {
+                return { type: 'piece', index: i };
+            }
+        }
+        // A single straight cut can't follow holes or reach separate regions
+        if (this.pieces.length === 0 && this.silhouette.length >= 3 && this.silhouetteLoops.length === 0) {
+            return { type: 'silhouette', index: 0 };
+        }
+        return null;
     }
 
-    // Find intersection point of two line segments
-    lineIntersection(p1, p2, p3, p4) {
-        const s1x = p2.x - p1.x;
-        const s1y = p2.y - p1.y;
-        const s2x = p4.x - p3.x;
-        const s2y = p4.y - p3.y;
-
-        const denom = (-s2x * s1y + s1x * s2y);
-        if (Math.abs(denom) < 1e-10) return null;
+    // Split the target polygon along the user-drawn line into two new pieces
+    applyKnifeCut(start, end) {
+        const a = this.normalizedToCanvas(start.x, start.y);
+        const b = this.normalizedToCanvas(end.x, end.y);
+        if (this.distanceSquared(a, b) < 10 * 10) {
+            this.render();
+            return; // Treat as a stray click
+        }
 
-        const s = (-s1y * (p1.x - p3.x) + s1x * (p1.y - p3.y)) / denom;
-        const t = ( s2x * (p1.y - p3.y) - s2y * (p1.x - p3.x)) / denom;
+        const target = this.findKnifeTarget(start, end);
+        if (!target) {
+            let message = 'Trace a silhouette first';
+            if (this.pieces.length > 0) {
+                message = 'Drag the knife all the way across a piece (or select one first)';
+            } else if (this.silhouetteLoops.length > 0) {
+                message = 'This silhouette has holes or several regions. Use Auto-Split to cut it into pieces first.';
+            }
+            alert(message);
+            this.render();
+            return;
+        }
 
-        if (s < -1e-5 || s > 1 + 1e-5 || t < -1e-5 || t > 1 + 1e-5) {
-            return null;
+        const vertices = this.getEditablePolygon(target);
+        if (this.countSegmentCrossings(start, end, vertices) < 2) {
+            alert('Drag the knife all the way across the piece');
+            this.render();
+            return;
         }
 
-        return {
-            x: p1.x + (t * s1x),
-            y: p1.y + (t * s1y)
-        };
-    }
+        const split = this.splitPolygonAlongCut(vertices, start, end);
+        if (split && split.ambiguous) {
+            alert('The cut crosses the piece more than once. Cut one part at a time.');
+            this.render();
+            return;
+        }
+        if (!split) {
+            // Same minimum split length as splitPolygonByLine
+            alert('Cut is too short or too close to the edge. Try a longer cut.');
+            this.render();
+            return;
+        }
 
-    splitPolygonRandomly(polygon, polygonAreaValue, currentPieceCount, targetPieces) {
-        const bounds = this.getPolygonBounds(polygon);
-        const maxAttempts = 25;
-        const totalArea = Math.abs(polygonAreaValue);
+        this.saveState();
 
-        for (let attempt = 0; attempt < maxAttempts; attempt++) {
-            const px = bounds.minX + Math.random() * (bounds.maxX - bounds.minX);
-            const py = bounds.minY + Math.random() * (bounds.maxY - bounds.minY);
-            const angle = Math.random() * Math.PI;
-            const normal = { x: Math.cos(angle), y: Math.sin(angle) };
+        const avoidColors = target.type === 'piece' ? [this.pieces[target.index].color] : [];
+        const newPieces = [];
+        [split.front, split.back].forEach(polygon => {
+            const color = this.nextPieceColor(avoidColors);
+            avoidColors.push(color);
+            newPieces.push({
+                id: this.nextPieceId(newPieces),
+                color,
+                vertices: polygon.map(p => ({ x: p.x, y: p.y })),
+                startPos: this.calculateStartPos(polygon)
+            });
+        });
 
-            const split = this.splitPolygonByLine(polygon, { x: px, y: py }, normal);
-            if (!split) continue;
+        if (target.type === 'piece') {
+            // Keep the new halves where the original sat in the list
+            this.pieces.splice(target.index, 1, ...newPieces);
+        } else {
+            this.pieces.push(...newPieces);
+        }
 
-            const areaFront = Math.abs(this.polygonArea(split.front));
-            const areaBack = Math.abs(this.polygonArea(split.back));
-            if (areaFront < 1e-4 || areaBack < 1e-4) continue;
+        this.selectedPieceIndex = -1;
+        this.updatePieceList();
+        this.render();
+    }
 
-            const ratio = areaFront / (areaFront + areaBack);
-            const minRatioBase = 0.3;
-            const tolerance = Math.min(0.15 + (attempt * 0.02), 0.35);
-            const minRatio = Math.max(0.05, minRatioBase - tolerance);
-            const maxRatio = Math.min(0.95, 1 - minRatio);
-            if (ratio < minRatio || ratio > maxRatio) continue;
+    // Split only along the chord between the two boundary crossings that bracket the dragged
+    // segment; the infinite line may cross other lobes of a concave polygon, which stay whole.
+    // Returns { front, back }, { ambiguous: true } if the segment spans several chords, or null.
+    splitPolygonAlongCut(vertices, start, end) {
+        const EPS = 1e-9;
+        const dx = end.x - start.x;
+        const dy = end.y - start.y;
+        const lengthSq = dx * dx + dy * dy;
+        // Vertices on the line count as just off it, so every crossing is counted once
+        const side = (v) => {
+            const d = (v.x - start.x) * dy - (v.y - start.y) * dx;
+            return Math.abs(d) < EPS ? EPS : d;
+        };
 
-            return split;
+        // Crossings of the infinite line, ordered along it (t = 0 at start, 1 at end)
+        const crossings = [];
+        for (let i = 0; i < vertices.length; i++) {
+            const a = vertices[i];
+            const b = vertices[(i + 1) % vertices.length];
+            const sa = side(a);
+            const sb = side(b);
+            if ((sa > 0) === (sb > 0)) continue;
+            const u = sa / (sa - sb);
+            const point = { x: a.x + (b.x - a.x) * u, y: a.y + (b.y - a.y) * u };
+            const t = ((point.x - start.x) * dx + (point.y - start.y) * dy) / lengthSq;
+            crossings.push({ edge: i, point, t });
         }
+        crossings.sort((p, q) => p.t - q.t);
 
-        return null;
-    }
+        // The line is inside the polygon between crossings 0-1, 2-3, ...
+        const chords = [];
+        for (let k = 0; k + 1 < crossings.length; k += 2) {
+            if (crossings[k + 1].t > 0 && crossings[k].t < 1) chords.push([crossings[k], crossings[k + 1]]);
+        }
+        if (chords.length > 1) return { ambiguous: true };
+        if (chords.length === 0) return null;
 
-    splitPolygonByLine(vertices, point, normal) {
-        const EPS = 1e-5;
-        const front = [];
-        const back = [];
-        const intersections = [];
+        const [from, to] = chords[0];
         const bounds = this.getPolygonBounds(vertices);
         const diag = Math.hypot(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY);
         const minSplitLength = Math.max(0.02, diag * 0.12);
+        if (this.distanceSquared(from.point, to.point) < minSplitLength * minSplitLength) return null;
+
+        // Walk the boundary from one crossing to the other, on each side of the chord
+        const walk = (a, b) => {
+            const polygon = [a.point];
+            for (let k = (a.edge + 1) % vertices.length; ; k = (k + 1) % vertices.length) {
+                polygon.push(vertices[k]);
+                if (k === b.edge) break;
+            }
+            polygon.push(b.point);
+            return this.cleanPolygon(polygon);
+        };
+        const front = walk(from, to);
+        const back = walk(to, from);
+        if (front.length < 3 || back.length < 3) return null;
+        return { front, back };
+    }
 
-        const signedDistance = (v) => (v.x - point.x) * normal.x + (v.y - point.y) * normal.y;
-
-        for (let i = 0; i < vertices.length; i++) {
-            const current = vertices[i];
-            const next = vertices[(i + 1) % vertices.length];
+    // Unique piece id (piece_N) that doesn't collide with existing or pending pieces
+    nextPieceId(pendingPieces = []) {
+        let maxNumber = 0;
+        this.pieces.concat(pendingPieces).forEach(piece => {
+            const match = /^piece_(\d+)$/.exec(piece.id);
+            if (match) maxNumber = Math.max(maxNumber, parseInt(match[1], 10));
+        });
+        return `piece_${maxNumber + 1}`;
+    }
 
-            const dCurrent = signedDistance(current);
-            const dNext = signedDistance(next);
+    // Next palette color (by piece count) that isn't in avoidColors
+    nextPieceColor(avoidColors = []) {
+        const colors = ['#99CCFF', '#FFADAD', '#B3F2B3', '#FFE699', '#E6B3FF', '#FFB366'];
+        const start = this.pieces.length % colors.length;
+        for (let i = 0; i < colors.length; i++) {
+            const color = colors[(start + i) % colors.length];
+            if (!avoidColors.includes(color)) return color;
+        }
+        return colors[start];
+    }
 
-            const onCurrent = Math.abs(dCurrent) < EPS;
-            const onNext = Math.abs(dNext) < EPS;
+    // ===== MERGE PIECES =====
 
-            if (dCurrent > EPS) {
-                front.push(current);
-            } else if (dCurrent < -EPS) {
-                back.push(current);
-            } else {
-                front.push(current);
-                back.push(current);
-            }
+    // Merge the selected pieces (Shift-click to select several) into one polygon
+    mergeSelectedPieces() {
+        const indices = this.getSelectedPieceIndices();
+        if (indices.length < 2) {
+            alert('Shift-click two or more pieces to merge');
+            return;
+        }
 
-            if ((dCurrent > EPS && dNext < -EPS) || (dCurrent < -EPS && dNext > EPS)) {
-                const t = dCurrent / (dCurrent - dNext);
-                const intersection = {
-                    x: current.x + (next.x - current.x) * t,
-                    y: current.y + (next.y - current.y) * t
-                };
-                front.push(intersection);
-                back.push(intersection);
-                if (!intersections.some(pt => this.distanceSquared(pt, intersection) < EPS * EPS)) {
-                    intersections.push(intersection);
-                }
-            } else if (onNext && !onCurrent) {
-                // Ensure points lying exactly on the line are preserved in both polygons
-                front.push(next);
-                back.push(next);
-                if (!intersections.some(pt => this.distanceSquared(pt, next) < EPS * EPS)) {
-                    intersections.push(next);
-                }
-            }
+        let merged;
+        try {
+            merged = this.unionPolygons(indices.map(index => this.pieces[index].vertices));
+        } catch (error) {
+            alert(`Cannot merge pieces: ${error.message}`);
+            return;
         }
 
-        const cleanedFront = this.cleanPolygon(front);
-        const cleanedBack = this.cleanPolygon(back);
+        this.saveState();
 
-        if (cleanedFront.length < 3 || cleanedBack.length < 3) {
-            return null;
+        // The merged piece keeps the first piece's id and color, in its list position
+        const first = this.pieces[indices[0]];
+        const mergedPiece = {
+            ...first,
+            vertices: merged,
+            startPos: this.calculateStartPos(merged)
+        };
+        for (let i = indices.length - 1; i > 0; i--) {
+            this.pieces.splice(indices[i], 1);
         }
+        this.pieces[indices[0]] = mergedPiece;
 
-        if (intersections.length < 2) {
-            return null;
-        }
+        this.multiSelection = [];
+        this.selectedPieceIndex = indices[0];
+        this.updatePieceList();
+        this.render();
+    }
 
-        // Ensure the cutting segment is long enough to avoid skinny connectors
-        let maxDistSq = 0;
-        for (let i = 0; i < intersections.length; i++) {
-            for (let j = i + 1; j < intersections.length; j++) {
-                const distSq = this.distanceSquared(intersections[i], intersections[j]);
-                if (distSq > maxDistSq) {
-                    maxDistSq = distSq;
-                }
-            }
+    // Union of simple polygons that share edges (or overlap).
+    // Throws if the polygons don't form one connected region without holes.
+    unionPolygons(polygons) {
+        const { outer, holes, connected } = this.traceRingBoundaries(polygons);
+
+        if (!connected) {
+            throw new Error('the selected pieces do not share an edge. Only touching pieces can be merged.');
         }
-        if (maxDistSq < minSplitLength * minSplitLength) {
-            return null;
+        if (outer.length !== 1) {
+            throw new Error('the selected pieces only touch at a corner. Only pieces sharing an edge can be merged.');
+        }
+        if (holes.length > 0) {
+            throw new Error('the merged piece would enclose a hole.');
         }
 
-        return {
-            front: cleanedFront,
-            back: cleanedBack
-        };
+        return this.removeCollinearPoints(outer[0]);
     }
 
-    cleanPolygon(vertices) {
-        const cleaned = [];
-        const EPS = 1e-4;
+    // Boundary of the union of rings: shared (opposite-direction) edges cancel out, edges
+    // inside another ring are dropped and the rest are chained into closed loops.
+    // Returns counter-clockwise outer loops, clockwise hole loops and whether every ring
+    // is joined to the others by a shared edge or an overlap.
+    traceRingBoundaries(polygons) {
+        const EPS = 1e-6;
 
-        for (const point of vertices) {
-            if (cleaned.length === 0 ||
-                this.distanceSquared(cleaned[cleaned.length - 1], point) > EPS * EPS) {
-                cleaned.push(point);
+        // Weld nearly-equal points to a single object so edges can be compared by identity
+        const points = [];
+        const weld = (p) => {
+            for (const q of points) {
+                if (this.distanceSquared(p, q) < EPS * EPS) return q;
             }
-        }
+            const q = { x: p.x, y: p.y, id: points.length };
+            points.push(q);
+            return q;
+        };
 
-        if (cleaned.length >= 2 &&
-            this.distanceSquared(cleaned[0], cleaned[cleaned.length - 1]) < EPS * EPS) {
-            cleaned.pop();
+        // All rings counter-clockwise (positive area) so shared edges run in opposite directions
+        let rings = polygons.map(polygon => {
+            const ring = [];
+            this.cleanPolygon(polygon).forEach(p => {
+                const q = weld(p);
+                if (ring[ring.length - 1] !== q) ring.push(q);
+            });
+            if (ring.length > 1 && ring[0] === ring[ring.length - 1]) ring.pop();
+            return this.polygonArea(ring) < 0 ? ring.reverse() : ring;
+        });
+        if (rings.some(ring => ring.length < 3)) {
+            throw new Error('one of the pieces is degenerate');
         }
 
-        return cleaned;
-    }
-
-    distanceSquared(a, b) {
-        const dx = a.x - b.x;
-        const dy = a.y - b.y;
-        return dx * dx + dy * dy;
+        // Split every edge where a ring crosses it or has a vertex on it (T-junctions).
+        // A ring is also checked against itself to catch zero-width bridges from clipping.
+        const splits = rings.map(ring => ring.map(() => []));
+        for (let r = 0; r < rings.length; r++) {
+            for (let q = 0; q < rings.length; q++) {
+                const ring = rings[r];
+                const other = rings[q];
+                for (let i = 0; i < ring.length; i++) {
+                    const a = ring[i];
+                    const b = ring[(i + 1) % ring.length];
+                    for (let j = 0; j < other.length; j++) {
+                        const c = other[j];
+                        const d = other[(j + 1) % other.length];
+                        const cross = this.lineIntersection(a, b, c, d);
+                        if (cross) splits[r][i].push(weld(cross));
+                        const onEdge = this.projectPointOnSegment(c, a, b);
+                        if (this.distanceSquared(onEdge, c) < EPS * EPS) splits[r][i].push(c);
+                    }
+                }
+            }
+        }
+        rings = rings.map((ring, r) => {
+            const result = [];
+            ring.forEach((a, i) => {
+                const b = ring[(i + 1) % ring.length];
+                const along = (p) => (p.x - a.x) * (b.x - a.x) + (p.y - a.y) * (b.y - a.y);
+                result.push(a);
+                [...new Set(splits[r][i])]
+                    .filter(p => p !== a && p !== b)
+                    .sort((p, q) => along(p) - along(q))
+                    .forEach(p => result.push(p));
+            });
+            return result;
+        });
+
+        // Track which rings are joined by a shared edge or an overlap
+        const parent = rings.map((ring, index) => index);
+        const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+        const join = (i, j) => { parent[find(i)] = find(j); };
+
+        const edgeOwner = new Map();
+        rings.forEach((ring, r) => {
+            ring.forEach((a, i) => {
+                const b = ring[(i + 1) % ring.length];
+                const key = `${a.id}>${b.id}`;
+                if (!edgeOwner.has(key)) edgeOwner.set(key, r);
+            });
+        });
+
+        // Keep edges that are on the outside of every other ring
+        const kept = [];
+        rings.forEach((ring, r) => {
+            ring.forEach((a, i) => {
+                const b = ring[(i + 1) % ring.length];
+                if (a === b) return;
+
+                const reverseOwner = edgeOwner.get(`${b.id}>${a.id}`);
+                if (reverseOwner !== undefined) {
+                    join(r, reverseOwner); // Shared edge (or a bridge within one ring): dissolves
+                    return;
+                }
+                const sameOwner = edgeOwner.get(`${a.id}>${b.id}`);
+                if (sameOwner !== r) {
+                    join(r, sameOwner); // Coincident edge already kept by another ring
+                    return;
+                }
+
+                const mid = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+                for (let q = 0; q < rings.length; q++) {
+                    if (q !== r && this.pointInPolygon(mid, rings[q])) {
+                        join(r, q); // Edge runs inside an overlapping ring
+                        return;
+                    }
+                }
+                kept.push({ a, b });
+            });
+        });
+
+        // Chain the remaining edges into closed loops
+        const outgoing = new Map();
+        kept.forEach(edge => {
+            if (!outgoing.has(edge.a.id)) outgoing.set(edge.a.id, []);
+            outgoing.get(edge.a.id).push(edge);
+        });
+        const used = new Set();
+        const loops = [];
+        kept.forEach(startEdge => {
+            if (used.has(startEdge)) return;
+            const loop = [];
+            let edge = startEdge;
+            while (edge && !used.has(edge)) {
+                used.add(edge);
+                loop.push({ x: edge.a.x, y: edge.a.y });
+                edge = (outgoing.get(edge.b.id) || []).find(next => !used.has(next));
+            }
+            if (loop.length >= 3) loops.push(loop);
+        });
+
+        return {
+            outer: loops.filter(loop => this.polygonArea(loop) > 0),
+            holes: loops.filter(loop => this.polygonArea(loop) < 0),
+            connected: rings.every((ring, r) => find(r) === find(0))
+        };
     }
 
-    getPolygonBounds(vertices) {
-        let minX = Infinity, minY = Infinity;
-        let maxX = -Infinity, maxY = -Infinity;
-        vertices.forEach(p => {
-            minX = Math.min(minX, p.x);
-            minY = Math.min(minY, p.y);
-            maxX = Math.max(maxX, p.x);
-            maxY = Math.max(maxY, p.y);
+    // Drop vertices that lie on the straight line between their neighbours
+    removeCollinearPoints(vertices) {
+        const result = vertices.filter((b, i) => {
+            const a = vertices[(i + vertices.length - 1) % vertices.length];
+            const c = vertices[(i + 1) % vertices.length];
+            const cross = (b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x);
+            return Math.abs(cross) > 1e-9;
         });
-        return { minX, minY, maxX, maxY };
+        return result.length >= 3 ? result : vertices;
     }
 
-    // Export each piece as a separate PNG image (cut from original)
-    exportPieceImages() {
-        if (!this.image) {
-            alert('Please load an image first');
+    // Auto-split the silhouette into N pieces, either by recursive random straight
+    // cuts or by a Voronoi partition clipped to the silhouette
+    autoSplitPieces() {
+        if (this.silhouette.length < 3) {
+            alert('Please trace a silhouette first');
             return;
         }
 
-        if (this.pieces.length === 0) {
-            alert('Please create some pieces first');
-            return;
-        }
+        const numPieces = parseInt(document.getElementById('numPieces').value) || 5;
+        this.startSeededGeneration();
+        const splitMode = document.getElementById('splitMode')?.value || 'random';
+        const relaxIterations = parseInt(document.getElementById('lloydIterations')?.value, 10) || 0;
 
-        const zip = [];
-        const levelId = document.getElementById('levelId').value || 'level_016';
+        this.saveState();
 
-        this.pieces.forEach((piece, index) => {
-            // Create canvas for this piece
-            const pieceCanvas = document.createElement('canvas');
-            const pieceCtx = pieceCanvas.getContext('2d');
-
-            // Calculate piece bounds in image coordinates
-            const minX = Math.min(...piece.vertices.map(v => v.x));
-            const maxX = Math.max(...piece.vertices.map(v => v.x));
-            const minY = Math.min(...piece.vertices.map(v => v.y));
-            const maxY = Math.max(...piece.vertices.map(v => v.y));
-
-            const imgMinX = Math.floor(minX * this.image.width);
-            const imgMaxX = Math.ceil(maxX * this.image.width);
-            const imgMinY = Math.floor(minY * this.image.height);
-            const imgMaxY = Math.ceil(maxY * this.image.height);
-
-            const pieceWidth = imgMaxX - imgMinX;
-            const pieceHeight = imgMaxY - imgMinY;
-
-            pieceCanvas.width = pieceWidth;
-            pieceCanvas.height = pieceHeight;
-
-            // Create clipping path
-            pieceCtx.beginPath();
-            const firstV = piece.vertices[0];
-            pieceCtx.moveTo(
-                (firstV.x * this.image.width) - imgMinX,
-                (firstV.y * this.image.height) - imgMinY
-            );
-            for (let i = 1; i < piece.vertices.length; i++) {
-                const v = piece.vertices[i];
-                pieceCtx.lineTo(
-                    (v.x * this.image.width) - imgMinX,
-                    (v.y * this.image.height) - imgMinY
-                );
-            }
-            pieceCtx.closePath();
-            pieceCtx.clip();
+        const colors = ['#99CCFF', '#FFADAD', '#B3F2B3', '#FFE699', '#E6B3FF', '#FFB366'];
 
-            // Draw the image portion
-            pieceCtx.drawImage(
-                this.image,
-                imgMinX, imgMinY, pieceWidth, pieceHeight,
-                0, 0, pieceWidth, pieceHeight
-            );
+        // Separate regions and cuts through holes come first; each part then gets a share
+        // of the pieces by area (a plain polygon is a single part)
+        const parts = this.splitSilhouetteIntoParts();
+        const counts = this.allocatePiecesByArea(parts, numPieces);
+        const workingPieces = parts.flatMap((part, i) => splitMode === 'voronoi'
+            ? this.voronoiSplit(part, counts[i], relaxIterations)
+            : this.randomCutSplit(part, counts[i]));
 
-            // Convert to data URL and trigger download
-            const dataUrl = pieceCanvas.toDataURL('image/png');
+        if (parts.length > numPieces) {
+            console.warn(`Silhouette needs at least ${parts.length} pieces for its regions and holes`);
+        }
+        // Fragments that couldn't be merged are kept: dropping them would leave gaps
+        if (workingPieces.length !== numPieces) {
+            console.warn(`Auto-split produced ${workingPieces.length} pieces (target ${numPieces})`);
+        }
 
-            // Create download link
-            const link = document.createElement('a');
-            link.download = `${levelId}_piece_${index + 1}.png`;
-            link.href = dataUrl;
-            link.click();
+        // Hand-placed start positions survive re-generation (matched by piece id)
+        const lockedStarts = new Map(
+            this.pieces.filter(p => p.startPosLocked).map(p => [p.id, p])
+        );
+
+        // Clear existing pieces and rebuild from generated polygons
+        this.pieces = workingPieces.map((vertices, index) => {
+            const id = `piece_${index + 1}`;
+            const locked = lockedStarts.get(id);
+            if (locked) {
+                return {
+                    id,
+                    color: colors[index % colors.length],
+                    vertices,
+                    startPos: { ...locked.startPos },
+                    startRotation: locked.startRotation || 0,
+                    startPosLocked: true
+                };
+            }
+            return { id, color: colors[index % colors.length], vertices, startPos: null };
         });
 
-        alert(`Exported ${this.pieces.length} piece images!`);
+        // Rotate and lay the other pieces out in the tray around the locked ones
+        const unlocked = this.pieces.filter(p => !p.startPosLocked);
+        this.randomizeStartRotations(unlocked);
+        this.packStartPositions(unlocked, this.pieces.filter(p => p.startPosLocked));
+
+        console.log(`Created ${this.pieces.length} organic pieces (target ${numPieces}, ${splitMode})`);
+
+        this.updatePieceList();
+        this.render();
     }
 
-    autoTraceSilhouette() {
-        if (!this.image) {
-            alert('Please load an image first');
-            return;
-        }
+    // Recursively cut the largest remaining polygon with random straight lines
+    randomCutSplit(polygon, numPieces) {
+        let workingPieces = [polygon.map(p => ({ ...p }))];
+        const maxAttempts = numPieces * 30;
+        let attempts = 0;
 
-        const maskResult = this.prepareMaskFromImage();
-        if (!maskResult) {
-            alert('Could not detect silhouette. Try using a simpler background or higher contrast.');
-            return;
+        while (workingPieces.length < numPieces && attempts < maxAttempts) {
+            attempts++;
+
+            // Split the largest remaining piece to avoid tiny fragments early
+            let largestIndex = 0;
+            let largestArea = Math.abs(this.polygonArea(workingPieces[0]));
+            for (let i = 1; i < workingPieces.length; i++) {
+                const area = Math.abs(this.polygonArea(workingPieces[i]));
+                if (area > largestArea) {
+                    largestArea = area;
+                    largestIndex = i;
+                }
+            }
+
+            const targetPiece = workingPieces[largestIndex];
+            const splitResult = this.splitPolygonRandomly(targetPiece, largestArea, workingPieces.length, numPieces);
+
+            if (splitResult) {
+                workingPieces.splice(largestIndex, 1);
+                workingPieces.push(splitResult.front, splitResult.back);
+            }
         }
 
-        const contour = this.traceMaskBoundary(maskResult.mask, maskResult.width, maskResult.height);
-        if (contour.length < 3) {
-            alert('Silhouette detection failed. Please adjust the source image.');
+        return workingPieces;
+    }
+
+    // ===== ROTATION =====
+    // Rotations are in degrees, clockwise on screen. The vertices are the piece as it
+    // sits in the solved silhouette, so a piece is drawn turned by
+    // (startRotation - correctRotation) in the scatter preview.
+
+    getDisplayRotation(piece) {
+        return (piece.startRotation || 0) - (piece.correctRotation || 0);
+    }
+
+    // Piece outline at its start position and rotation
+    getStartVertices(piece) {
+        return this.offsetVertices(piece.vertices, piece.startPos, this.getDisplayRotation(piece));
+    }
+
+    // Rotate in image pixels so non-square images don't shear the piece
+    rotatePoint(point, center, degrees) {
+        const { width, height } = this.getImageSize();
+        const angle = degrees * Math.PI / 180;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const dx = (point.x - center.x) * width;
+        const dy = (point.y - center.y) * height;
+        return {
+            x: center.x + (dx * cos - dy * sin) / width,
+            y: center.y + (dx * sin + dy * cos) / height
+        };
+    }
+
+    normalizeAngle(degrees) {
+        const angle = Math.round(degrees) % 360;
+        return angle < 0 ? angle + 360 : angle;
+    }
+
+    // 'none', 'quarter' (90° steps) or 'free'; 'difficulty' picks one from the level difficulty
+    getRotationMode() {
+        const mode = document.getElementById('rotationMode')?.value || 'difficulty';
+        if (mode !== 'difficulty') return mode;
+
+        const difficulty = document.getElementById('difficulty')?.value || 'easy';
+        return { medium: 'quarter', hard: 'free' }[difficulty] || 'none';
+    }
+
+    randomizeStartRotations(pieces) {
+        const mode = this.getRotationMode();
+        pieces.forEach(piece => {
+            if (mode === 'quarter') {
+                piece.startRotation = Math.floor(this.random() * 4) * 90;
+            } else if (mode === 'free') {
+                piece.startRotation = Math.floor(this.random() * 360);
+            } else {
+                piece.startRotation = 0;
+            }
+            // Start relative to the solved orientation
+            piece.startRotation = this.normalizeAngle(piece.startRotation + (piece.correctRotation || 0));
+        });
+    }
+
+    // Re-randomize rotations of unlocked pieces and re-pack them (rotated boxes change size)
+    randomizeRotations() {
+        const unlocked = this.pieces.filter(piece => !piece.startPosLocked);
+        if (unlocked.length === 0) {
+            alert(this.pieces.length === 0 ? 'No pieces to rotate' : 'All start positions are locked');
             return;
         }
 
         this.saveState();
-        this.silhouette = this.simplifyPath(contour, 0.0025);
-        document.getElementById('silhouetteInfo').textContent =
-            `${this.silhouette.length} points traced`;
+        this.randomizeStartRotations(unlocked);
+        this.packStartPositions(unlocked, this.pieces.filter(piece => piece.startPosLocked));
+        this.updatePieceList();
         this.render();
     }
 
-    prepareMaskFromImage() {
-        const maxDim = 600;
-        const scale = Math.min(maxDim / this.image.width, maxDim / this.image.height, 1);
-        const width = Math.max(32, Math.round(this.image.width * scale));
-        const height = Math.max(32, Math.round(this.image.height * scale));
-
-        const tempCanvas = document.createElement('canvas');
-        tempCanvas.width = width;
-        tempCanvas.height = height;
-        const tempCtx = tempCanvas.getContext('2d');
-        tempCtx.drawImage(this.image, 0, 0, width, height);
-
-        const imageData = tempCtx.getImageData(0, 0, width, height);
-        const bgColor = this.sampleBackgroundColor(imageData.data, width, height);
-        const threshold = this.computeBackgroundThreshold(imageData.data, width, height, bgColor, this.backgroundTolerance);
-        const subjectMask = this.buildSubjectMask(imageData.data, width, height, bgColor, threshold);
-        if (!subjectMask) return null;
-        const largestMask = this.extractLargestRegion(subjectMask, width, height);
-        if (!largestMask) return null;
+    // Rotate handle of the selected piece, in canvas pixels: above the pivot, turned with the piece
+    getRotationHandle(piece) {
+        const pivot = this.normalizedToCanvas(piece.startPos.x, piece.startPos.y);
+        const radius = Math.max(...this.getStartVertices(piece).map(v => {
+            const p = this.normalizedToCanvas(v.x, v.y);
+            return Math.hypot(p.x - pivot.x, p.y - pivot.y);
+        })) + 20;
+        const angle = this.getDisplayRotation(piece) * Math.PI / 180;
         return {
-            mask: largestMask,
-            width,
-            height
+            pivot,
+            handle: { x: pivot.x + Math.sin(angle) * radius, y: pivot.y - Math.cos(angle) * radius }
         };
     }
 
-    loadMaskFromImage(file) {
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            const img = new Image();
-            img.onload = () => {
-                const maxDim = 800;
-                const scale = Math.min(maxDim / img.width, maxDim / img.height, 1);
-                const width = Math.max(32, Math.round(img.width * scale));
-                const height = Math.max(32, Math.round(img.height * scale));
-
-                const tempCanvas = document.createElement('canvas');
-                tempCanvas.width = width;
-                tempCanvas.height = height;
-                const tempCtx = tempCanvas.getContext('2d');
-                tempCtx.drawImage(img, 0, 0, width, height);
-
-                const imageData = tempCtx.getImageData(0, 0, width, height);
-                const mask = new Uint8Array(width * height);
-                let subjectPixels = 0;
-
-                for (let y = 0; y < height; y++) {
-                    for (let x = 0; x < width; x++) {
-                        const idx = (y * width + x) * 4;
-                        const alpha = imageData.data[idx + 3];
-                        const brightness = (imageData.data[idx] + imageData.data[idx + 1] + imageData.data[idx + 2]) / 3;
-                        const maskIndex = y * width + x;
-                        if (alpha > 40 || brightness < 240) {
-                            mask[maskIndex] = 1;
-                            subjectPixels++;
-                        }
-                    }
-                }
+    startRotationDrag(x, y) {
+        const piece = this.pieces[this.selectedPieceIndex];
+        if (!piece || this.multiSelection.length > 1) return false;
 
-                if (subjectPixels === 0) {
-                    alert('Mask image did not contain any opaque pixels.');
-                    return;
-                }
+        const { handle } = this.getRotationHandle(piece);
+        if (Math.hypot(x - handle.x, y - handle.y) > 10) return false;
 
-                const largest = this.extractLargestRegion(mask, width, height) || mask;
-                const contour = this.traceMaskBoundary(largest, width, height);
-                if (!contour || contour.length < 3) {
-                    alert('Unable to trace silhouette from mask image.');
-                    return;
-                }
+        this.rotationDrag = { index: this.selectedPieceIndex, moved: false };
+        this.canvas.style.cursor = 'grabbing';
+        return true;
+    }
 
-                this.saveState();
-                this.silhouette = this.simplifyPath(contour, 0.0025);
-                document.getElementById('silhouetteInfo').textContent =
-                    `Loaded mask (${this.silhouette.length} points)`;
-                this.render();
-            };
-            img.onerror = () => alert('Unable to load mask image.');
-            img.src = e.target.result;
-        };
-        reader.readAsDataURL(file);
+    // Shift snaps to 15° steps
+    moveRotationDrag(x, y, snap) {
+        const piece = this.pieces[this.rotationDrag.index];
+        if (!piece) return;
+
+        if (!this.rotationDrag.moved) {
+            this.saveState();
+            this.rotationDrag.moved = true;
+        }
+
+        const pivot = this.normalizedToCanvas(piece.startPos.x, piece.startPos.y);
+        let display = Math.atan2(x - pivot.x, pivot.y - y) * 180 / Math.PI;
+        if (snap) display = Math.round(display / 15) * 15;
+
+        piece.startRotation = this.normalizeAngle(display + (piece.correctRotation || 0));
+        piece.startPosLocked = true;
+        this.updateRotationInputs();
+        this.render();
     }
 
-    sampleBackgroundColor(data, width, height) {
-        const samples = [
-            [0, 0],
-            [width - 1, 0],
-            [0, height - 1],
-            [width - 1, height - 1],
-            [Math.floor(width * 0.25), 0],
-            [Math.floor(width * 0.75), 0],
-            [Math.floor(width * 0.25), height - 1],
-            [Math.floor(width * 0.75), height - 1],
-            [0, Math.floor(height * 0.25)],
-            [0, Math.floor(height * 0.75)],
-            [width - 1, Math.floor(height * 0.25)],
-            [width - 1, Math.floor(height * 0.75)]
-        ];
+    endRotationDrag() {
+        const moved = this.rotationDrag.moved;
+        this.rotationDrag = null;
+        this.canvas.style.cursor = '';
+        if (moved) {
+            this.suppressNextClick = true;
+            this.updatePieceList();
+            this.scheduleProjectSave();
+        }
+        this.render();
+    }
 
-        let r = 0, g = 0, b = 0;
-        samples.forEach(([x, y]) => {
-            const idx = (y * width + x) * 4;
-            r += data[idx];
-            g += data[idx + 1];
-            b += data[idx + 2];
-        });
+    drawRotationHandle() {
+        const piece = this.pieces[this.selectedPieceIndex];
+        if (!piece || this.multiSelection.length > 1) return;
 
-        const count = samples.length;
+        const { pivot, handle } = this.getRotationHandle(piece);
+        this.ctx.beginPath();
+        this.ctx.moveTo(pivot.x, pivot.y);
+        this.ctx.lineTo(handle.x, handle.y);
+        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+        this.ctx.lineWidth = 1;
+        this.ctx.setLineDash([4, 4]);
+        this.ctx.stroke();
+        this.ctx.setLineDash([]);
+
+        this.ctx.beginPath();
+        this.ctx.arc(handle.x, handle.y, 7, 0, Math.PI * 2);
+        this.ctx.fillStyle = '#4a90d9';
+        this.ctx.fill();
+        this.ctx.strokeStyle = '#fff';
+        this.ctx.lineWidth = 2;
+        this.ctx.stroke();
+
+        this.ctx.font = '12px sans-serif';
+        this.ctx.fillStyle = '#fff';
+        this.ctx.fillText(`${piece.startRotation || 0}°`, handle.x + 12, handle.y + 4);
+    }
+
+    // Start/correct rotation fields for the single selected piece
+    updateRotationInputs() {
+        const group = document.getElementById('pieceRotation');
+        if (!group) return;
+
+        const piece = this.pieces[this.selectedPieceIndex];
+        if (!piece || this.multiSelection.length > 1) {
+            group.style.display = 'none';
+            return;
+        }
+        group.style.display = 'block';
+        document.getElementById('startRotation').value = piece.startRotation || 0;
+        document.getElementById('correctRotation').value = piece.correctRotation || 0;
+    }
+
+    setPieceRotation(field, value) {
+        const piece = this.pieces[this.selectedPieceIndex];
+        const degrees = parseFloat(value);
+        if (!piece || !Number.isFinite(degrees)) return;
+
+        this.saveState();
+        piece[field] = this.normalizeAngle(degrees);
+        if (field === 'startRotation') piece.startPosLocked = true;
+        this.updatePieceList();
+        this.render();
+    }
+
+    // ===== TRAY PACKING =====
+
+    // Tray region (normalized) where start positions are laid out
+    getTrayRegion() {
+        const read = (id, fallback) => {
+            const value = parseFloat(document.getElementById(id)?.value);
+            return Number.isFinite(value) ? Math.max(0, Math.min(1, value)) : fallback;
+        };
+        const top = read('trayTop', 0.7);
+        const bottom = read('trayBottom', 0.98);
         return {
-            r: r / count,
-            g: g / count,
-            b: b / count
+            left: 0.02,
+            right: 0.98,
+            top: Math.min(top, bottom),
+            bottom: Math.max(top, bottom),
+            padding: 0.01
         };
     }
 
-    computeBackgroundThreshold(data, width, height, bgColor, toleranceSlider = 50) {
-        const diffs = [];
-        const stepX = Math.max(1, Math.round(width / 24));
-        const stepY = Math.max(1, Math.round(height / 24));
+    // Bounding box of a piece drawn at its start position (and start rotation)
+    getStartBox(piece) {
+        return this.getPolygonBounds(this.getStartVertices(piece));
+    }
 
-        for (let x = 0; x < width; x += stepX) {
-            diffs.push(this.pixelDistance(data, width, x, 0, bgColor));
-            diffs.push(this.pixelDistance(data, width, x, height - 1, bgColor));
+    // Bounds of the rotated piece relative to its start position (the pivot)
+    getStartExtents(piece) {
+        return this.getPolygonBounds(
+            this.offsetVertices(piece.vertices, { x: 0, y: 0 }, this.getDisplayRotation(piece))
+        );
+    }
+
+    // Set startPos for `pieces` so their boxes don't overlap each other, the `fixed`
+    // pieces (left where they are) or the silhouette. If they don't fit at full size,
+    // fall back to the layout that fits at the largest scale and report that scale.
+    packStartPositions(pieces, fixed = []) {
+        if (pieces.length === 0) return;
+
+        const obstacles = fixed.filter(p => p.startPos).map(p => this.getStartBox(p));
+        let layout = this.shelfPack(pieces, obstacles, 1);
+        let message = '';
+
+        if (!layout) {
+            let lo = 0.1, hi = 1;
+            let best = this.shelfPack(pieces, obstacles, lo);
+            for (let i = 0; i < 8 && best; i++) {
+                const mid = (lo + hi) / 2;
+                const attempt = this.shelfPack(pieces, obstacles, mid);
+                if (attempt) {
+                    best = attempt;
+                    lo = mid;
+                } else {
+                    hi = mid;
+                }
+            }
+
+            if (best) {
+                layout = best;
+                message = `Pieces don't fit the tray at full size; they only fit at ${Math.floor(lo * 100)}% scale ` +
+                    `and will overlap. Enlarge the tray or use fewer/smaller pieces.`;
+            } else {
+                // Still lay them out in shelves, letting rows run past the tray bottom
+                layout = this.shelfPack(pieces, obstacles, lo, true);
+                message = 'Pieces don\'t fit the tray even at 10% scale and will overlap. ' +
+                    'Enlarge the tray or use fewer/smaller pieces.';
+            }
+            console.warn(message);
         }
-        for (let y = 0; y < height; y += stepY) {
-            diffs.push(this.pixelDistance(data, width, 0, y, bgColor));
-            diffs.push(this.pixelDistance(data, width, width - 1, y, bgColor));
+
+        const tray = this.getTrayRegion();
+        const trayBox = { minX: tray.left, minY: tray.top, maxX: tray.right, maxY: tray.bottom };
+        if (this.silhouette.length >= 3 && this.boxesOverlap(trayBox, this.getSilhouetteBounds())) {
+            const note = 'The tray overlaps the silhouette; move it below the silhouette so pieces start clear of it.';
+            message = message ? `${message} ${note}` : note;
         }
 
-        if (diffs.length === 0) {
-            return 40;
+        pieces.forEach(piece => {
+            // A scaled-down layout can push full-size pieces off screen; pull them back in
+            const extents = this.getStartExtents(piece);
+            const pos = layout.get(piece);
+            piece.startPos = {
+                x: Math.min(Math.max(-extents.minX, pos.x), Math.max(-extents.minX, 1 - extents.maxX)),
+                y: Math.min(Math.max(-extents.minY, pos.y), Math.max(-extents.minY, 1 - extents.maxY))
+            };
+        });
+
+        const status = document.getElementById('trayStatus');
+        if (status) {
+            status.textContent = message;
+            status.style.display = message ? 'block' : 'none';
         }
+    }
 
-        const mean = diffs.reduce((sum, value) => sum + value, 0) / diffs.length;
-        const variance = diffs.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / diffs.length;
-        const std = Math.sqrt(Math.max(0, variance));
+    // Shelf packing: tallest first, left to right, wrapping to a new row when full.
+    // Boxes are scaled by `scale`. Returns Map(piece -> startPos), or null if they don't fit.
+    // With `force`, rows may run past the tray and a layout is always returned.
+    shelfPack(pieces, obstacles, scale, force = false) {
+        const tray = this.getTrayRegion();
+        const pad = tray.padding;
+        const placed = [...obstacles];
+        const layout = new Map();
+
+        const items = pieces.map(piece => {
+            const extents = this.getStartExtents(piece);
+            return {
+                piece,
+                extents,
+                width: (extents.maxX - extents.minX) * scale,
+                height: (extents.maxY - extents.minY) * scale
+            };
+        }).sort((a, b) => b.height - a.height);
+
+        let x = tray.left;
+        let rowY = tray.top;
+        let rowHeight = 0;
+
+        for (const item of items) {
+            if (!force && (item.width > tray.right - tray.left || item.height > tray.bottom - tray.top)) {
+                return null;
+            }
+
+            while (true) {
+                if (x + item.width > tray.right) {
+                    // Next row (step down a little if nothing was placed on this one)
+                    rowY += rowHeight > 0 ? rowHeight + pad : pad;
+                    rowHeight = 0;
+                    x = tray.left;
+                }
+                if (!force && rowY + item.height > tray.bottom) {
+                    return null;
+                }
+
+                const box = { minX: x, minY: rowY, maxX: x + item.width, maxY: rowY + item.height };
+                const blocker = placed.find(other => this.boxesOverlap(box, other, pad));
+                if (blocker) {
+                    x = Math.max(x + pad, blocker.maxX + pad);
+                    continue;
+                }
+                if (this.boxOverlapsSilhouette(box)) {
+                    x += pad;
+                    continue;
+                }
+
+                placed.push(box);
+                // Start positions are the rotation pivot, which sits off-center in a rotated box
+                layout.set(item.piece, {
+                    x: box.minX - item.extents.minX * scale,
+                    y: box.minY - item.extents.minY * scale
+                });
+                rowHeight = Math.max(rowHeight, item.height);
+                x = box.maxX + pad;
+                break;
+            }
+        }
+
+        return layout;
+    }
+
+    boxesOverlap(a, b, pad = 0) {
+        return a.minX < b.maxX + pad && b.minX < a.maxX + pad &&
+            a.minY < b.maxY + pad && b.minY < a.maxY + pad;
+    }
+
+    boxOverlapsSilhouette(box) {
+        if (this.silhouette.length < 3) return false;
+
+        const corners = [
+            { x: box.minX, y: box.minY }, { x: box.maxX, y: box.minY },
+            { x: box.maxX, y: box.maxY }, { x: box.minX, y: box.maxY }
+        ];
+        const center = { x: (box.minX + box.maxX) / 2, y: (box.minY + box.maxY) / 2 };
+        if ([...corners, center].some(p => this.pointInSilhouette(p))) return true;
+
+        const rings = this.getSilhouetteRings().filter(ring => ring.length >= 3);
+        if (rings.some(ring => ring.some(p => p.x > box.minX && p.x < box.maxX && p.y > box.minY && p.y < box.maxY))) {
+            return true;
+        }
+
+        // Silhouette edges passing through the box without a vertex inside it
+        for (const ring of rings) {
+            for (let i = 0; i < ring.length; i++) {
+                const a = ring[i];
+                const b = ring[(i + 1) % ring.length];
+                for (let j = 0; j < 4; j++) {
+                    if (this.lineIntersection(a, b, corners[j], corners[(j + 1) % 4])) return true;
+                }
+            }
+        }
+        return false;
+    }
+
+    // ===== SEEDED RANDOM =====
+
+    // mulberry32: small, fast 32-bit PRNG; the same seed always yields the same sequence
+    createRng(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // Uniform [0, 1) from the generation PRNG (use instead of Math.random in generation code)
+    random() {
+        return this.rng();
+    }
+
+    randomSeed() {
+        return Math.floor(Math.random() * 4294967296) >>> 0;
+    }
+
+    // Numeric seeds are used as-is; any other text is hashed (FNV-1a)
+    parseSeed(value) {
+        const text = String(value ?? '').trim();
+        if (text === '') return null;
+        if (/^\d+$/.test(text)) return Number(text) >>> 0;
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    // Reset the PRNG for a generation run. Uses the seed field when locked, otherwise
+    // rolls a new seed and shows it so the result can be reproduced later.
+    startSeededGeneration() {
+        const seedInput = document.getElementById('seed');
+        const lockSeed = document.getElementById('lockSeed');
+
+        let seed = lockSeed?.checked ? this.parseSeed(seedInput?.value) : null;
+        if (seed === null) {
+            seed = this.randomSeed();
+            if (seedInput) seedInput.value = seed;
+        }
+
+        this.generationSeed = seed;
+        this.rng = this.createRng(seed);
+        return seed;
+    }
+
+    // ===== VORONOI SPLIT =====
+
+    // Partition the polygon into Voronoi cells around N random seeds. Lloyd iterations
+    // move each seed to its clipped cell's centroid, which evens out piece areas.
+    voronoiSplit(polygon, numPieces, relaxIterations = 0) {
+        let seeds = this.sampleSeedsInPolygon(polygon, numPieces);
+        if (seeds.length < 2) {
+            return [polygon.map(p => ({ ...p }))];
+        }
+
+        const bounds = this.getPolygonBounds(polygon);
+
+        for (let iteration = 0; iteration < relaxIterations; iteration++) {
+            seeds = seeds.map((seed, i) => {
+                const clipped = this.clipPolygonToPolygon(polygon, this.voronoiCell(seeds, i, bounds));
+                const centroid = this.polygonCentroid(clipped);
+                return centroid && this.pointInPolygon(centroid, polygon) ? centroid : seed;
+            });
+        }
+
+        // Where the silhouette leaves a cell and comes back, the clipper joins the parts
+        // with zero-width bridges along the cell edge; split those into separate regions
+        let regions = [];
+        seeds.forEach((seed, i) => {
+            const clipped = this.clipPolygonToPolygon(polygon, this.voronoiCell(seeds, i, bounds));
+            if (clipped.length < 3 || Math.abs(this.polygonArea(clipped)) < 1e-4) return;
+            this.separateClippedRegions(clipped).forEach(region => {
+                if (Math.abs(this.polygonArea(region)) >= 1e-5) regions.push(region);
+            });
+        });
+
+        // Fold stray fragments into a neighbouring cell to get back to N pieces
+        regions = this.mergeSmallestRegions(regions, numPieces);
+        return regions;
+    }
+
+    // Random points inside the polygon (rejection sampling in its bounding box)
+    sampleSeedsInPolygon(polygon, count) {
+        const bounds = this.getPolygonBounds(polygon);
+        const seeds = [];
+        const maxAttempts = count * 200;
+        for (let attempt = 0; attempt < maxAttempts && seeds.length < count; attempt++) {
+            const point = {
+                x: bounds.minX + this.random() * (bounds.maxX - bounds.minX),
+                y: bounds.minY + this.random() * (bounds.maxY - bounds.minY)
+            };
+            if (this.pointInPolygon(point, polygon)) {
+                seeds.push(point);
+            }
+        }
+        return seeds;
+    }
+
+    // Convex Voronoi cell of seeds[index], bounded by the (padded) bounds rectangle
+    voronoiCell(seeds, index, bounds) {
+        const pad = 0.05;
+        let cell = [
+            { x: bounds.minX - pad, y: bounds.minY - pad },
+            { x: bounds.maxX + pad, y: bounds.minY - pad },
+            { x: bounds.maxX + pad, y: bounds.maxY + pad },
+            { x: bounds.minX - pad, y: bounds.maxY + pad }
+        ];
+        const seed = seeds[index];
+
+        for (let j = 0; j < seeds.length && cell.length >= 3; j++) {
+            if (j === index) continue;
+            const other = seeds[j];
+            // Keep the side of the perpendicular bisector closer to this seed
+            const mid = { x: (seed.x + other.x) / 2, y: (seed.y + other.y) / 2 };
+            const normal = { x: other.x - seed.x, y: other.y - seed.y };
+            cell = this.clipPolygonToHalfPlane(cell, mid, normal);
+        }
+
+        return cell;
+    }
+
+    // Keep the part of a convex polygon where (p - point) . normal <= 0
+    clipPolygonToHalfPlane(vertices, point, normal) {
+        const output = [];
+        const side = (v) => (v.x - point.x) * normal.x + (v.y - point.y) * normal.y;
+
+        for (let i = 0; i < vertices.length; i++) {
+            const current = vertices[i];
+            const next = vertices[(i + 1) % vertices.length];
+            const dCurrent = side(current);
+            const dNext = side(next);
+
+            if (dCurrent <= 0) output.push(current);
+            if ((dCurrent < 0 && dNext > 0) || (dCurrent > 0 && dNext < 0)) {
+                const t = dCurrent / (dCurrent - dNext);
+                output.push({
+                    x: current.x + (next.x - current.x) * t,
+                    y: current.y + (next.y - current.y) * t
+                });
+            }
+        }
+
+        return output;
+    }
+
+    polygonCentroid(vertices) {
+        const area = this.polygonArea(vertices);
+        if (Math.abs(area) < 1e-12) return null;
+
+        let cx = 0;
+        let cy = 0;
+        for (let i = 0; i < vertices.length; i++) {
+            const current = vertices[i];
+            const next = vertices[(i + 1) % vertices.length];
+            const cross = (current.x * next.y) - (next.x * current.y);
+            cx += (current.x + next.x) * cross;
+            cy += (current.y + next.y) * cross;
+        }
+        return { x: cx / (6 * area), y: cy / (6 * area) };
+    }
+
+    separateClippedRegions(clipped) {
+        try {
+            const { outer } = this.traceRingBoundaries([clipped]);
+            if (outer.length > 0) {
+                return outer.map(region => this.removeCollinearPoints(region));
+            }
+        } catch (e) {
+            // Degenerate clip result, fall through
+        }
+        return clipped.length >= 3 ? [clipped] : [];
+    }
+
+    // Merge the smallest regions into an edge-sharing neighbour until at most targetCount remain
+    mergeSmallestRegions(regions, targetCount) {
+        const result = [...regions];
+        const unmergeable = new Set();
+
+        while (result.length > targetCount) {
+            const candidates = result
+                .filter(region => !unmergeable.has(region))
+                .sort((a, b) => Math.abs(this.polygonArea(a)) - Math.abs(this.polygonArea(b)));
+            if (candidates.length === 0) break;
+
+            const smallest = candidates[0];
+            let merged = false;
+            for (let i = 0; i < result.length && !merged; i++) {
+                const other = result[i];
+                if (other === smallest) continue;
+                try {
+                    const union = this.unionPolygons([other, smallest]);
+                    result.splice(result.indexOf(smallest), 1);
+                    result[result.indexOf(other)] = union;
+                    merged = true;
+                } catch (e) {
+                    // Not adjacent, try the next region
+                }
+            }
+            if (!merged) unmergeable.add(smallest);
+        }
+
+        return result;
+    }
+
+    // Quick generate: trace silhouette + auto-split in one click
+    async quickGenerate() {
+        // First, trace the silhouette
+        const result = await this.traceSilhouetteFromImage();
+        if (!result) return;
+
+        // Record one undo step for the whole trace + split
+        this.withHistoryBatch(() => {
+            this.applyTraceResult(result);
+
+            // Then auto-split into pieces
+            if (this.silhouette.length >= 3) {
+                this.autoSplitPieces();
+
+                // Auto-enable image mode for convenience
+                const imageModeCheckbox = document.getElementById('imageMode');
+                if (imageModeCheckbox) {
+                    imageModeCheckbox.checked = true;
+                }
+
+                // Auto-increment level ID
+                this.autoIncrementLevelId();
+            }
+        });
+    }
+
+    // Auto-increment level ID based on current value
+    autoIncrementLevelId() {
+        const levelIdInput = document.getElementById('levelId');
+        if (!levelIdInput) return;
+
+        const currentId = levelIdInput.value;
+        const match = currentId.match(/^level_(\d+)$/);
+        if (match) {
+            const currentNum = parseInt(match[1], 10);
+            // Only increment if it looks like we're on a fresh level
+            // (don't increment if user is editing)
+        }
+    }
+
+    // Toggle between showing pieces in place vs scattered (preview mode)
+    toggleScatterPreview() {
+        if (this.pieces.length === 0) {
+            alert('No pieces to preview');
+            return;
+        }
+
+        this.showScattered = !this.showScattered;
+
+        // Update button text
+        const btn = document.getElementById('previewScatter');
+        if (btn) {
+            if (this.showScattered) {
+                btn.innerHTML = `
+                    <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <rect x="3" y="3" width="18" height="18" rx="2"/>
+                    </svg>
+                    Show In Place
+                `;
+            } else {
+                btn.innerHTML = `
+                    <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <circle cx="12" cy="12" r="1"/>
+                        <circle cx="6" cy="18" r="1"/>
+                        <circle cx="18" cy="18" r="1"/>
+                        <circle cx="8" cy="6" r="1"/>
+                        <circle cx="16" cy="8" r="1"/>
+                    </svg>
+                    Preview Scattered
+                `;
+            }
+        }
+
+        this.scatterDrag = null;
+        this.rotationDrag = null;
+        this.render();
+    }
+
+    // ===== SCATTER LAYOUT =====
+
+    // Topmost piece under a normalized point, hit-tested at its scattered position
+    findScatteredPieceAt(point) {
+        for (let i = this.pieces.length - 1; i >= 0; i--) {
+            const piece = this.pieces[i];
+            if (this.pointInPolygon(point, this.getStartVertices(piece))) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    startScatterDrag(x, y, additive = false) {
+        const point = this.canvasToNormalized(x, y);
+        const index = this.findScatteredPieceAt(point);
+        if (index < 0) {
+            if (!additive) this.selectPiece(-1);
+            return;
+        }
+
+        const piece = this.pieces[index];
+        this.scatterDrag = {
+            index,
+            offset: { x: piece.startPos.x - point.x, y: piece.startPos.y - point.y },
+            moved: false
+        };
+        this.selectPiece(index, additive);
+        this.canvas.style.cursor = 'grabbing';
+    }
+
+    moveScatterDrag(x, y) {
+        const drag = this.scatterDrag;
+        const piece = this.pieces[drag.index];
+        if (!piece) return;
+
+        if (!drag.moved) {
+            this.saveState();
+            drag.moved = true;
+        }
+
+        const point = this.canvasToNormalized(x, y);
+        piece.startPos = this.clampStartPos({ x: point.x + drag.offset.x, y: point.y + drag.offset.y });
+        // Placing a piece by hand locks its start pose so re-rolls and re-generation keep it
+        piece.startPosLocked = true;
+        this.render();
+    }
+
+    endScatterDrag() {
+        const moved = this.scatterDrag.moved;
+        this.scatterDrag = null;
+        this.canvas.style.cursor = '';
+        if (moved) {
+            this.suppressNextClick = true;
+            this.updatePieceList();
+            this.scheduleProjectSave();
+        }
+        this.render();
+    }
+
+    // Keep a start position on screen (normalized 0-1)
+    clampStartPos(pos) {
+        return {
+            x: Math.max(0, Math.min(1, pos.x)),
+            y: Math.max(0, Math.min(1, pos.y))
+        };
+    }
+
+    // Pick a new random start position for one piece (clears its lock)
+    rerollStartPos(index) {
+        const piece = this.pieces[index];
+        if (!piece) return;
+
+        this.saveState();
+        this.randomizeStartRotations([piece]);
+        piece.startPos = this.calculateStartPos(piece.vertices);
+        delete piece.startPosLocked;
+        this.updatePieceList();
+        this.render();
+    }
+
+    // Re-roll every start position that isn't locked
+    rerollStartPositions() {
+        const unlocked = this.pieces.filter(piece => !piece.startPosLocked);
+        if (unlocked.length === 0) {
+            alert(this.pieces.length === 0 ? 'No pieces to scatter' : 'All start positions are locked');
+            return;
+        }
+
+        this.saveState();
+        this.randomizeStartRotations(unlocked);
+        unlocked.forEach(piece => {
+            piece.startPos = this.calculateStartPos(piece.vertices);
+        });
+        this.render();
+    }
+
+    togglePieceLock(index) {
+        const piece = this.pieces[index];
+        if (!piece) return;
+
+        this.saveState();
+        if (piece.startPosLocked) {
+            delete piece.startPosLocked;
+        } else {
+            piece.startPosLocked = true;
+        }
+        this.updatePieceList();
+        this.render();
+    }
+
+    // Lay out every unlocked piece in the tray without overlap
+    packTray() {
+        const unlocked = this.pieces.filter(piece => !piece.startPosLocked);
+        if (unlocked.length === 0) {
+            alert(this.pieces.length === 0 ? 'No pieces to pack' : 'All start positions are locked');
+            return;
+        }
+
+        this.saveState();
+        this.packStartPositions(unlocked, this.pieces.filter(piece => piece.startPosLocked));
+        this.render();
+    }
+
+    // Lock badge at the start position of hand-placed pieces (scatter preview only)
+    drawScatterLocks() {
+        this.ctx.font = '14px sans-serif';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.pieces.forEach(piece => {
+            if (!piece.startPosLocked) return;
+            const p = this.normalizedToCanvas(piece.startPos.x, piece.startPos.y);
+            this.ctx.fillText('🔒', p.x, p.y);
+        });
+        this.ctx.textAlign = 'start';
+        this.ctx.textBaseline = 'alphabetic';
+    }
+
+    // Clip (possibly concave) subject polygon to a convex clip polygon (e.g., grid cell)
+    clipPolygonToPolygon(subjectPolygon, clipPolygon) {
+        if (subjectPolygon.length === 0 || clipPolygon.length < 3) {
+            return [];
+        }
+
+        const isClipClockwise = this.isPolygonClockwise(clipPolygon);
+        let outputList = [...subjectPolygon];
+
+        for (let i = 0; i < clipPolygon.length; i++) {
+            if (outputList.length === 0) break;
+
+            const inputList = outputList;
+            outputList = [];
+
+            const edgeStart = clipPolygon[i];
+            const edgeEnd = clipPolygon[(i + 1) % clipPolygon.length];
+
+            for (let j = 0; j < inputList.length; j++) {
+                const current = inputList[j];
+                const previous = inputList[(j + inputList.length - 1) % inputList.length];
+
+                const currentInside = this.isPointInsideEdge(current, edgeStart, edgeEnd, isClipClockwise);
+                const previousInside = this.isPointInsideEdge(previous, edgeStart, edgeEnd, isClipClockwise);
+
+                if (currentInside) {
+                    if (!previousInside) {
+                        // Entering: add intersection point
+                        const intersection = this.segmentLineIntersection(previous, current, edgeStart, edgeEnd);
+                        if (intersection) outputList.push(intersection);
+                    }
+                    outputList.push(current);
+                } else if (previousInside) {
+                    // Leaving: add intersection point
+                    const intersection = this.segmentLineIntersection(previous, current, edgeStart, edgeEnd);
+                    if (intersection) outputList.push(intersection);
+                }
+            }
+        }
+
+        return outputList;
+    }
+
+    // Check if point is on the inside side of the edge (supports CW + CCW silhouettes)
+    isPointInsideEdge(point, lineStart, lineEnd, clipIsClockwise) {
+        const cross = ((lineEnd.x - lineStart.x) * (point.y - lineStart.y)) -
+                      ((lineEnd.y - lineStart.y) * (point.x - lineStart.x));
+        return clipIsClockwise ? cross <= 0 : cross >= 0;
+    }
+
+    isPolygonClockwise(vertices) {
+        if (vertices.length < 3) return false;
+
+        let area = 0;
+        for (let i = 0; i < vertices.length; i++) {
+            const current = vertices[i];
+            const next = vertices[(i + 1) % vertices.length];
+            area += (current.x * next.y) - (next.x * current.y);
+        }
+
+        return area < 0;
+    }
+
+    polygonArea(vertices) {
+        if (vertices.length < 3) return 0;
+        let area = 0;
+        for (let i = 0; i < vertices.length; i++) {
+            const current = vertices[i];
+            const next = vertices[(i + 1) % vertices.length];
+            area += (current.x * next.y) - (next.x * current.y);
+        }
+        return area / 2;
+    }
+
+    // Intersection of segment a-b with the infinite line through lineStart-lineEnd.
+    // The clipper needs this: after earlier clip edges, crossings can lie beyond the
+    // current clip edge's endpoints and must not be dropped.
+    segmentLineIntersection(a, b, lineStart, lineEnd) {
+        const nx = -(lineEnd.y - lineStart.y);
+        const ny = lineEnd.x - lineStart.x;
+        const dA = (a.x - lineStart.x) * nx + (a.y - lineStart.y) * ny;
+        const dB = (b.x - lineStart.x) * nx + (b.y - lineStart.y) * ny;
+        if (Math.abs(dA - dB) < 1e-12) return null;
+        const t = dA / (dA - dB);
+        return {
+            x: a.x + (b.x - a.x) * t,
+            y: a.y + (b.y - a.y) * t
+        };
+    }
+
+    // Find intersection point of two line segments
+    lineIntersection(p1, p2, p3, p4) {
+        const s1x = p2.x - p1.x;
+        const s1y = p2.y - p1.y;
+        const s2x = p4.x - p3.x;
+        const s2y = p4.y - p3.y;
+
+        const denom = (-s2x * s1y + s1x * s2y);
+        if (Math.abs(denom) < 1e-10) return null;
+
+        const s = (-s1y * (p1.x - p3.x) + s1x * (p1.y - p3.y)) / denom;
+        const t = ( s2x * (p1.y - p3.y) - s2y * (p1.x - p3.x)) / denom;
+
+        if (s < -1e-5 || s > 1 + 1e-5 || t < -1e-5 || t > 1 + 1e-5) {
+            return null;
+        }
+
+        return {
+            x: p1.x + (t * s1x),
+            y: p1.y + (t * s1y)
+        };
+    }
+
+    splitPolygonRandomly(polygon, polygonAreaValue, currentPieceCount, targetPieces) {
+        const bounds = this.getPolygonBounds(polygon);
+        const maxAttempts = 25;
+        const totalArea = Math.abs(polygonAreaValue);
+
+        for (let attempt = 0; attempt < maxAttempts; attempt++) {
+            const px = bounds.minX + this.random() * (bounds.maxX - bounds.minX);
+            const py = bounds.minY + this.random() * (bounds.maxY - bounds.minY);
+            const angle = this.random() * Math.PI;
+            const normal = { x: Math.cos(angle), y: Math.sin(angle) };
+
+            const split = this.splitPolygonByLine(polygon, { x: px, y: py }, normal);
+            if (!split) continue;
+
+            const areaFront = Math.abs(this.polygonArea(split.front));
+            const areaBack = Math.abs(this.polygonArea(split.back));
+            if (areaFront < 1e-4 || areaBack < 1e-4) continue;
+
+            const ratio = areaFront / (areaFront + areaBack);
+            const minRatioBase = 0.3;
+            const tolerance = Math.min(0.15 + (attempt * 0.02), 0.35);
+            const minRatio = Math.max(0.05, minRatioBase - tolerance);
+            const maxRatio = Math.min(0.95, 1 - minRatio);
+            if (ratio < minRatio || ratio > maxRatio) continue;
+
+            return split;
+        }
+
+        return null;
+    }
+
+    splitPolygonByLine(vertices, point, normal) {
+        const EPS = 1e-5;
+        const front = [];
+        const back = [];
+        const intersections = [];
+        const bounds = this.getPolygonBounds(vertices);
+        const diag = Math.hypot(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY);
+        const minSplitLength = Math.max(0.02, diag * 0.12);
+
+        const signedDistance = (v) => (v.x - point.x) * normal.x + (v.y - point.y) * normal.y;
+
+        for (let i = 0; i < vertices.length; i++) {
+            const current = vertices[i];
+            const next = vertices[(i + 1) % vertices.length];
+
+            const dCurrent = signedDistance(current);
+            const dNext = signedDistance(next);
+
+            const onCurrent = Math.abs(dCurrent) < EPS;
+            const onNext = Math.abs(dNext) < EPS;
+
+            if (dCurrent > EPS) {
+                front.push(current);
+            } else if (dCurrent < -EPS) {
+                back.push(current);
+            } else {
+                front.push(current);
+                back.push(current);
+            }
+
+            if ((dCurrent > EPS && dNext < -EPS) || (dCurrent < -EPS && dNext > EPS)) {
+                const t = dCurrent / (dCurrent - dNext);
+                const intersection = {
+                    x: current.x + (next.x - current.x) * t,
+                    y: current.y + (next.y - current.y) * t
+                };
+                front.push(intersection);
+                back.push(intersection);
+                if (!intersections.some(pt => this.distanceSquared(pt, intersection) < EPS * EPS)) {
+                    intersections.push(intersection);
+                }
+            } else if (onNext && !onCurrent) {
+                // Ensure points lying exactly on the line are preserved in both polygons
+                front.push(next);
+                back.push(next);
+                if (!intersections.some(pt => this.distanceSquared(pt, next) < EPS * EPS)) {
+                    intersections.push(next);
+                }
+            }
+        }
+
+        const cleanedFront = this.cleanPolygon(front);
+        const cleanedBack = this.cleanPolygon(back);
+
+        if (cleanedFront.length < 3 || cleanedBack.length < 3) {
+            return null;
+        }
+
+        if (intersections.length < 2) {
+            return null;
+        }
+
+        // Ensure the cutting segment is long enough to avoid skinny connectors
+        let maxDistSq = 0;
+        for (let i = 0; i < intersections.length; i++) {
+            for (let j = i + 1; j < intersections.length; j++) {
+                const distSq = this.distanceSquared(intersections[i], intersections[j]);
+                if (distSq > maxDistSq) {
+                    maxDistSq = distSq;
+                }
+            }
+        }
+        if (maxDistSq < minSplitLength * minSplitLength) {
+            return null;
+        }
+
+        return {
+            front: cleanedFront,
+            back: cleanedBack
+        };
+    }
+
+    cleanPolygon(vertices) {
+        const cleaned = [];
+        const EPS = 1e-4;
+
+        for (const point of vertices) {
+            if (cleaned.length === 0 ||
+                this.distanceSquared(cleaned[cleaned.length - 1], point) > EPS * EPS) {
+                cleaned.push(point);
+            }
+        }
+
+        if (cleaned.length >= 2 &&
+            this.distanceSquared(cleaned[0], cleaned[cleaned.length - 1]) < EPS * EPS) {
+            cleaned.pop();
+        }
+
+        return cleaned;
+    }
+
+    distanceSquared(a, b) {
+        const dx = a.x - b.x;
+        const dy = a.y - b.y;
+        return dx * dx + dy * dy;
+    }
+
+    getPolygonBounds(vertices) {
+        let minX = Infinity, minY = Infinity;
+        let maxX = -Infinity, maxY = -Infinity;
+        vertices.forEach(p => {
+            minX = Math.min(minX, p.x);
+            minY = Math.min(minY, p.y);
+            maxX = Math.max(maxX, p.x);
+            maxY = Math.max(maxY, p.y);
+        });
+        return { minX, minY, maxX, maxY };
+    }
+
+    // Export each piece as a separate PNG image (cut from original)
+    exportPieceImages() {
+        if (!this.image) {
+            alert('Please load an image first');
+            return;
+        }
+
+        if (this.pieces.length === 0) {
+            alert('Please create some pieces first');
+            return;
+        }
+
+        const levelId = document.getElementById('levelId').value || 'level_016';
+
+        this.pieces.forEach((piece, index) => {
+            const pieceCanvas = this.renderPieceCanvas(piece);
+
+            // Convert to data URL and trigger download
+            const dataUrl = pieceCanvas.toDataURL('image/png');
+
+            // Create download link
+            const link = document.createElement('a');
+            link.download = `${levelId}_piece_${index + 1}.png`;
+            link.href = dataUrl;
+            link.click();
+        });
+
+        alert(`Exported ${this.pieces.length} piece images!`);
+    }
+
+    // Cut a piece out of the source image onto its own canvas (cropped to its bounds)
+    renderPieceCanvas(piece) {
+        // Create canvas for this piece
+        const pieceCanvas = document.createElement('canvas');
+        const pieceCtx = pieceCanvas.getContext('2d');
+
+        // Calculate piece bounds in image coordinates
+        const minX = Math.min(...piece.vertices.map(v => v.x));
+        const maxX = Math.max(...piece.vertices.map(v => v.x));
+        const minY = Math.min(...piece.vertices.map(v => v.y));
+        const maxY = Math.max(...piece.vertices.map(v => v.y));
+
+        const imgMinX = Math.floor(minX * this.image.width);
+        const imgMaxX = Math.ceil(maxX * this.image.width);
+        const imgMinY = Math.floor(minY * this.image.height);
+        const imgMaxY = Math.ceil(maxY * this.image.height);
+
+        const pieceWidth = imgMaxX - imgMinX;
+        const pieceHeight = imgMaxY - imgMinY;
+
+        pieceCanvas.width = pieceWidth;
+        pieceCanvas.height = pieceHeight;
+
+        // Create clipping path
+        pieceCtx.beginPath();
+        const firstV = piece.vertices[0];
+        pieceCtx.moveTo(
+            (firstV.x * this.image.width) - imgMinX,
+            (firstV.y * this.image.height) - imgMinY
+        );
+        for (let i = 1; i < piece.vertices.length; i++) {
+            const v = piece.vertices[i];
+            pieceCtx.lineTo(
+                (v.x * this.image.width) - imgMinX,
+                (v.y * this.image.height) - imgMinY
+            );
+        }
+        pieceCtx.closePath();
+        pieceCtx.clip();
+
+        // Draw the image portion
+        pieceCtx.drawImage(
+            this.image,
+            imgMinX, imgMinY, pieceWidth, pieceHeight,
+            0, 0, pieceWidth, pieceHeight
+        );
+
+        return pieceCanvas;
+    }
+
+    // ===== ZIP BUNDLE EXPORT =====
+
+    // Download one ZIP with the level JSON, the source image, every piece PNG and a manifest
+    async exportBundle() {
+        if (this.pieces.length === 0) {
+            alert('Please create some pieces first');
+            return;
+        }
+
+        const levelId = document.getElementById('levelId').value || 'level_016';
+
+        try {
+            const files = [];
+            const encoder = new TextEncoder();
+
+            files.push({ name: `json/${levelId}.json`, data: encoder.encode(this.generateJson()) });
+
+            if (this.image) {
+                files.push({ name: `images/${levelId}.png`, data: await this.getSourceImagePng() });
+                for (let i = 0; i < this.pieces.length; i++) {
+                    const pieceCanvas = this.renderPieceCanvas(this.pieces[i]);
+                    files.push({
+                        name: `pieces/${levelId}_piece_${i + 1}.png`,
+                        data: await this.canvasToPngBytes(pieceCanvas)
+                    });
+                }
+            }
+
+            const manifest = {
+                levelId,
+                createdAt: new Date().toISOString(),
+                files: files.map(file => ({ name: file.name, size: file.data.length }))
+            };
+            files.unshift({ name: 'manifest.json', data: encoder.encode(JSON.stringify(manifest, null, 2)) });
+
+            this.downloadBlob(this.buildZip(files), `${levelId}.zip`);
+        } catch (error) {
+            console.error('Bundle export failed:', error);
+            alert(`Bundle export failed: ${error.message}`);
+        }
+    }
+
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        // Revoke later: some browsers start the download asynchronously
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    canvasToPngBytes(canvas) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (!blob) {
+                    reject(new Error('Could not encode PNG'));
+                    return;
+                }
+                blob.arrayBuffer().then(buffer => resolve(new Uint8Array(buffer)), reject);
+            }, 'image/png');
+        });
+    }
+
+    // Original PNG bytes when the source was a PNG, otherwise a PNG re-encode
+    async getSourceImagePng() {
+        if (this.imageBlob && this.imageBlob.type === 'image/png') {
+            return new Uint8Array(await this.imageBlob.arrayBuffer());
+        }
+        return this.canvasToPngBytes(this.imageToCanvas());
+    }
+
+    imageToCanvas() {
+        const canvas = document.createElement('canvas');
+        canvas.width = this.image.width;
+        canvas.height = this.image.height;
+        canvas.getContext('2d').drawImage(this.image, 0, 0);
+        return canvas;
+    }
+
+    crc32(bytes) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    // Store-only (uncompressed) ZIP writer. files: [{ name, data: Uint8Array }]
+    buildZip(files) {
+        const encoder = new TextEncoder();
+        const now = new Date();
+        const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+        const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+        const chunks = [];
+        const centralChunks = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const crc = this.crc32(file.data);
+            const size = file.data.length;
+
+            // Local file header
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);        // Version needed to extract
+            local.setUint16(6, 0x0800, true);    // Flags: UTF-8 names
+            local.setUint16(8, 0, true);         // Method: store
+            local.setUint16(10, dosTime, true);
+            local.setUint16(12, dosDate, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, size, true);     // Compressed size
+            local.setUint32(22, size, true);     // Uncompressed size
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);        // Extra field length
+            chunks.push(new Uint8Array(local.buffer), name, file.data);
+
+            // Central directory entry
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true);
+            central.setUint16(4, 20, true);      // Version made by
+            central.setUint16(6, 20, true);      // Version needed to extract
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, dosTime, true);
+            central.setUint16(14, dosDate, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, size, true);
+            central.setUint32(24, size, true);
+            central.setUint16(28, name.length, true);
+            central.setUint16(30, 0, true);      // Extra field length
+            central.setUint16(32, 0, true);      // Comment length
+            central.setUint16(34, 0, true);      // Disk number
+            central.setUint16(36, 0, true);      // Internal attributes
+            central.setUint32(38, 0, true);      // External attributes
+            central.setUint32(42, offset, true); // Local header offset
+            centralChunks.push(new Uint8Array(central.buffer), name);
+
+            offset += 30 + name.length + size;
+        });
+
+        const centralSize = centralChunks.reduce((sum, chunk) => sum + chunk.length, 0);
+
+        // End of central directory record
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...chunks, ...centralChunks, new Uint8Array(end.buffer)], { type: 'application/zip' });
+    }
+
+    // ===== XCODE ASSET CATALOG =====
+
+    // ZIP with a <levelId>.xcassets folder: the level image plus one imageset per piece
+    async exportXcassets() {
+        if (!this.image) {
+            alert('Please load an image first');
+            return;
+        }
+
+        if (this.pieces.length === 0) {
+            alert('Please create some pieces first');
+            return;
+        }
+
+        const levelId = document.getElementById('levelId').value || 'level_016';
+        const withRenditions = document.getElementById('xcassetsRenditions')?.checked || false;
+        const catalog = `${levelId}.xcassets`;
+        const encoder = new TextEncoder();
+        const contentsJson = contents => encoder.encode(JSON.stringify(contents, null, 2));
+
+        try {
+            const files = [{
+                name: `${catalog}/Contents.json`,
+                data: contentsJson({ info: { author: 'xcode', version: 1 } })
+            }];
+
+            // Level image, named after metadata.imageName
+            if (withRenditions) {
+                files.push(...await this.buildImageset(catalog, levelId, this.imageToCanvas(), true));
+            } else {
+                files.push(
+                    { name: `${catalog}/${levelId}.imageset/${levelId}.png`, data: await this.getSourceImagePng() },
+                    { name: `${catalog}/${levelId}.imageset/Contents.json`, data: contentsJson(this.imagesetContents([`${levelId}.png`])) }
+                );
+            }
+
+            for (let i = 0; i < this.pieces.length; i++) {
+                const name = `${levelId}_piece_${i + 1}`;
+                const pieceCanvas = this.renderPieceCanvas(this.pieces[i]);
+                files.push(...await this.buildImageset(catalog, name, pieceCanvas, withRenditions));
+            }
+
+            this.downloadBlob(this.buildZip(files), `${levelId}_xcassets.zip`);
+        } catch (error) {
+            console.error('Asset catalog export failed:', error);
+            alert(`Asset catalog export failed: ${error.message}`);
+        }
+    }
+
+    // Files for one <name>.imageset. With renditions the source is treated as @3x
+    // and scaled down for @2x and @1x; otherwise a single-scale image is written.
+    async buildImageset(catalog, name, canvas, withRenditions) {
+        const folder = `${catalog}/${name}.imageset`;
+        const files = [];
+        const filenames = [];
+
+        if (withRenditions) {
+            for (const scale of [1, 2, 3]) {
+                const filename = scale === 1 ? `${name}.png` : `${name}@${scale}x.png`;
+                const scaled = scale === 3 ? canvas : this.scaleCanvas(canvas, scale / 3);
+                files.push({ name: `${folder}/${filename}`, data: await this.canvasToPngBytes(scaled) });
+                filenames.push(filename);
+            }
+        } else {
+            files.push({ name: `${folder}/${name}.png`, data: await this.canvasToPngBytes(canvas) });
+            filenames.push(`${name}.png`);
+        }
+
+        files.push({
+            name: `${folder}/Contents.json`,
+            data: new TextEncoder().encode(JSON.stringify(this.imagesetContents(filenames), null, 2))
+        });
+        return files;
+    }
+
+    // Contents.json for an imageset: one file is single-scale, three are 1x/2x/3x
+    imagesetContents(filenames) {
+        const images = filenames.length === 1
+            ? [{ filename: filenames[0], idiom: 'universal' }]
+            : filenames.map((filename, i) => ({ filename, idiom: 'universal', scale: `${i + 1}x` }));
+        return { images, info: { author: 'xcode', version: 1 } };
+    }
+
+    scaleCanvas(source, factor) {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(source.width * factor));
+        canvas.height = Math.max(1, Math.round(source.height * factor));
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+        return canvas;
+    }
+
+    // ===== SILHOUETTE TRACING =====
+
+    async autoTraceSilhouette() {
+        const result = await this.traceSilhouetteFromImage();
+        if (result) this.applyTraceResult(result);
+    }
+
+    // Trace the loaded image in the background. Resolves to the traceJob() result, or to
+    // null if the trace failed (already reported) or was cancelled.
+    async traceSilhouetteFromImage() {
+        if (!this.image) {
+            alert('Please load an image first');
+            return null;
+        }
+
+        const image = this.image;
+        const result = await this.runTraceJob(() => this.buildImageTraceJob());
+        if (!result || this.image !== image) return null;
+
+        if (result.error === 'noMask') {
+            alert(this.maskStrategy === 'alpha'
+                ? 'The image has no transparent pixels below the alpha threshold. Try another mask strategy.'
+                : 'Could not detect silhouette. Try another mask strategy, a simpler background or higher contrast.');
+            return null;
+        }
+        if (result.loops.length === 0) {
+            alert('Silhouette detection failed. Please adjust the source image.');
+            return null;
+        }
+        return result;
+    }
+
+    applyTraceResult(result, describe = silhouette => `${silhouette} traced`) {
+        this.saveState();
+        this.setSilhouetteLoops(result.loops);
+        this.rememberTrace(result.raw);
+        document.getElementById('silhouetteInfo').textContent = describe(this.describeSilhouette());
+        this.render();
+    }
+
+    // The whole trace on plain buffers (no DOM), so it runs the same in trace-worker.js and
+    // on this thread. job: { source: 'image' | 'maskImage', width, height, cleanupScale,
+    // pixels?, mask?, maskWidth?, maskHeight? }. Returns { raw, loops, tolerance,
+    // otsuThreshold } or { error: 'noMask' }.
+    traceJob(job, onProgress = () => {}) {
+        const { width, height } = job;
+
+        onProgress('Building mask', 0);
+        let mask;
+        if (job.mask) {
+            mask = job.maskWidth === width && job.maskHeight === height
+                ? job.mask
+                : this.scaleMask(job.mask, job.maskWidth, job.maskHeight, width, height);
+        } else if (job.source === 'maskImage') {
+            mask = this.buildMaskImageMask(job.pixels, width, height);
+        } else {
+            mask = this.buildStrategyMask(job.pixels, width, height);
+        }
+        if (!mask || !mask.some(value => value)) return { error: 'noMask' };
+
+        onProgress('Cleaning up mask', 0.3);
+        const cleaned = this.cleanupMask(mask, width, height, job.cleanupScale);
+
+        onProgress('Extracting region', 0.5);
+        const regionMask = this.traceAllRegions ? cleaned : (this.extractLargestRegion(cleaned, width, height) || cleaned);
+
+        onProgress('Tracing outline', 0.65);
+        const raw = this.traceSilhouetteLoops(regionMask, width, height);
+
+        onProgress('Simplifying', 0.9);
+        const loops = this.simplifyLoops(raw);
+        return { raw, loops, tolerance: this.lastSimplifyTolerance, otsuThreshold: this.otsuThreshold };
+    }
+
+    // Bilinear resize of a 0/1 mask, so an upscaled painted mask keeps smooth edges
+    scaleMask(mask, sourceWidth, sourceHeight, width, height) {
+        const result = new Uint8Array(width * height);
+        const at = (x, y) => mask[Math.min(sourceHeight - 1, y) * sourceWidth + Math.min(sourceWidth - 1, x)];
+        for (let y = 0; y < height; y++) {
+            const sy = Math.max(0, (y + 0.5) * sourceHeight / height - 0.5);
+            const y0 = Math.floor(sy);
+            const fy = sy - y0;
+            for (let x = 0; x < width; x++) {
+                const sx = Math.max(0, (x + 0.5) * sourceWidth / width - 0.5);
+                const x0 = Math.floor(sx);
+                const fx = sx - x0;
+                const top = at(x0, y0) * (1 - fx) + at(x0 + 1, y0) * fx;
+                const bottom = at(x0, y0 + 1) * (1 - fx) + at(x0 + 1, y0 + 1) * fx;
+                if (top * (1 - fy) + bottom * fy >= 0.5) result[y * width + x] = 1;
+            }
+        }
+        return result;
+    }
+
+    // Outlines of a mask as { points, hole }, not yet simplified. Specks and pinholes are
+    // dropped, and holes (with any islands inside them) only survive when hole tracing is on.
+    traceSilhouetteLoops(mask, width, height) {
+        const minArea = 0.0005;
+        // Drop specks before classifying (which tests every loop against every other). A loop
+        // only encloses smaller ones, so no kept loop's depth depends on a dropped one.
+        const loops = this.traceMaskLoops(mask, width, height)
+            .filter(points => Math.abs(this.polygonArea(points)) >= minArea);
+        return this.classifyLoops(loops)
+            .filter(loop => this.traceHoles || loop.depth === 0)
+            .map(loop => ({ points: loop.points, hole: loop.hole }));
+    }
+
+    // e.g. "214 points" or "214 points (2 regions, 1 hole)"
+    describeSilhouette() {
+        const points = this.getSilhouetteRings().reduce((sum, ring) => sum + ring.length, 0);
+        const holes = this.silhouetteLoops.filter(loop => loop.hole).length;
+        const regions = this.silhouetteLoops.length - holes + 1;
+        if (this.silhouetteLoops.length === 0) return `${points} points`;
+        return `${points} points (${regions} region${regions === 1 ? '' : 's'}, ${holes} hole${holes === 1 ? '' : 's'})`;
+    }
+
+    // The mask autoTraceSilhouette() traces, at preview resolution: the brush-refined one if
+    // there is one, else the selected strategy's, reduced to the largest region unless all
+    // regions are kept
+    prepareMaskFromImage() {
+        const source = this.maskEdit
+            ? { mask: this.getRefinedMask(), width: this.maskEdit.width, height: this.maskEdit.height }
+            : this.computeSubjectMask();
+        if (!source.mask) return null;
+
+        const { width, height } = source;
+        const cleaned = this.cleanupMask(source.mask, width, height);
+        const regionMask = this.traceAllRegions ? cleaned : this.extractLargestRegion(cleaned, width, height);
+        if (!regionMask) return null;
+        return {
+            mask: regionMask,
+            width,
+            height
+        };
+    }
+
+    // The selected strategy's mask at preview resolution (at most 600px), with the
+    // downscaled pixels it was computed from
+    computeSubjectMask() {
+        const { width, height } = this.getTraceSize(this.image.width, this.image.height, 600);
+        const pixels = this.readImagePixels(this.image, width, height);
+        const mask = this.buildStrategyMask(pixels, width, height);
+        this.updateOtsuLabel();
+        return { mask, pixels, width, height };
+    }
+
+    // Grid size for tracing an image: longest side at most maxDim (0 = native size)
+    getTraceSize(imageWidth, imageHeight, maxDim = this.traceResolution) {
+        const scale = maxDim > 0 ? Math.min(maxDim / imageWidth, maxDim / imageHeight, 1) : 1;
+        return {
+            width: Math.max(32, Math.round(imageWidth * scale)),
+            height: Math.max(32, Math.round(imageHeight * scale))
+        };
+    }
+
+    readImagePixels(image, width, height) {
+        const tempCanvas = document.createElement('canvas');
+        tempCanvas.width = width;
+        tempCanvas.height = height;
+        const tempCtx = tempCanvas.getContext('2d');
+        tempCtx.drawImage(image, 0, 0, width, height);
+        return tempCtx.getImageData(0, 0, width, height).data;
+    }
+
+    updateOtsuLabel() {
+        const label = document.getElementById('otsuThresholdValue');
+        if (label && this.maskStrategy === 'otsu') label.textContent = this.otsuThreshold ?? 'auto';
+    }
+
+    // Job for traceJob() at the selected resolution. Cleanup sizes are set against the preview,
+    // so they're scaled up with it. A refined mask is traced as painted, scaled to the grid.
+    buildImageTraceJob() {
+        const image = this.image;
+        const { width, height } = this.getTraceSize(image.width, image.height);
+        const preview = this.getTraceSize(image.width, image.height, 600);
+        const job = { source: 'image', width, height, cleanupScale: width / preview.width };
+
+        if (this.maskEdit) {
+            Object.assign(job, { mask: this.getRefinedMask(), maskWidth: this.maskEdit.width, maskHeight: this.maskEdit.height });
+        } else {
+            job.pixels = this.readImagePixels(image, width, height);
+        }
+        return job;
+    }
+
+    loadMaskFromImage(file) {
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            const img = new Image();
+            img.onload = async () => {
+                const result = await this.runTraceJob(() => {
+                    const { width, height } = this.getTraceSize(img.width, img.height);
+                    const preview = this.getTraceSize(img.width, img.height, 600);
+                    return {
+                        source: 'maskImage',
+                        width,
+                        height,
+                        cleanupScale: width / preview.width,
+                        pixels: this.readImagePixels(img, width, height)
+                    };
+                });
+                if (!result) return;
+
+                if (result.error === 'noMask') {
+                    alert('Mask image did not contain any opaque pixels.');
+                    return;
+                }
+                if (result.loops.length === 0) {
+                    alert('Unable to trace silhouette from mask image.');
+                    return;
+                }
+                this.applyTraceResult(result, silhouette => `Loaded mask (${silhouette})`);
+            };
+            img.onerror = () => alert('Unable to load mask image.');
+            img.src = e.target.result;
+        };
+        reader.readAsDataURL(file);
+    }
+
+    // Silhouette images: opaque or dark pixels are subject
+    buildMaskImageMask(data, width, height) {
+        const mask = new Uint8Array(width * height);
+        let subjectPixels = 0;
+        for (let i = 0; i < mask.length; i++) {
+            const offset = i * 4;
+            const brightness = (data[offset] + data[offset + 1] + data[offset + 2]) / 3;
+            if (data[offset + 3] > 40 || brightness < 240) {
+                mask[i] = 1;
+                subjectPixels++;
+            }
+        }
+        return subjectPixels > 0 ? mask : null;
+    }
+
+    // ===== TRACE WORKER =====
+    // Traces run traceJob() in trace-worker.js with the pixel buffers transferred, so large
+    // images don't block the editor. Where workers can't start (e.g. pages opened from file://)
+    // the job runs on this thread instead.
+
+    // Resolves to the traceJob() result, or null if it failed or was cancelled. buildJob may be
+    // called twice: buffers are handed over to the worker, and a fallback needs fresh ones.
+    runTraceJob(buildJob) {
+        this.cancelTrace();
+        const settings = this.getTraceSettings();
+
+        return new Promise(resolve => {
+            const trace = { id: ++this.traceJobId, resolve };
+            this.activeTrace = trace;
+            this.updateTraceProgress('Starting trace', 0);
+
+            const worker = this.getTraceWorker();
+            if (!worker) {
+                this.runTraceJobInline(trace, buildJob, settings);
+                return;
+            }
+
+            worker.onmessage = (e) => {
+                const message = e.data;
+                if (message.id !== trace.id) return;
+                if (message.type === 'progress') {
+                    if (this.activeTrace === trace) this.updateTraceProgress(message.stage, message.fraction);
+                } else {
+                    this.finishTrace(trace, message.result, message.error);
+                }
+            };
+            worker.onerror = (e) => {
+                // The worker script failed to load: trace here from now on
+                e.preventDefault();
+                worker.terminate();
+                this.traceWorker = null;
+                this.traceWorkerUnavailable = true;
+                if (this.activeTrace === trace) this.runTraceJobInline(trace, buildJob, settings);
+            };
+
+            let job;
+            try {
+                job = buildJob();
+            } catch (error) {
+                this.finishTrace(trace, null, error.message);
+                return;
+            }
+            const transfer = [job.pixels, job.mask].filter(Boolean).map(array => array.buffer);
+            worker.postMessage({ id: trace.id, job, settings }, transfer);
+        });
+    }
+
+    getTraceWorker() {
+        if (this.traceWorker || this.traceWorkerUnavailable) return this.traceWorker;
+        try {
+            this.traceWorker = new Worker('trace-worker.js');
+        } catch (e) {
+            this.traceWorkerUnavailable = true;
+        }
+        return this.traceWorker;
+    }
+
+    // Blocks the editor; the timeout lets the progress bar show first. It can't be
+    // interrupted, but the result of a cancelled trace is dropped.
+    runTraceJobInline(trace, buildJob, settings) {
+        this.updateTraceProgress('Tracing', 0);
+        setTimeout(() => {
+            if (this.activeTrace !== trace) return;
+            try {
+                const tracer = Object.assign(Object.create(LevelEditor.prototype), settings);
+                this.finishTrace(trace, tracer.traceJob(buildJob()));
+            } catch (error) {
+                this.finishTrace(trace, null, error.message);
+            }
+        }, 30);
+    }
+
+    // Everything traceJob() reads from the editor
+    getTraceSettings() {
+        return {
+            maskStrategy: this.maskStrategy,
+            backgroundTolerance: this.backgroundTolerance,
+            useInteriorSampling: this.useInteriorSampling,
+            traceAllRegions: this.traceAllRegions,
+            traceHoles: this.traceHoles,
+            alphaThreshold: this.alphaThreshold,
+            hsvMinSaturation: this.hsvMinSaturation,
+            hsvMinValue: this.hsvMinValue,
+            hsvMaxValue: this.hsvMaxValue,
+            maskCleanup: { ...this.maskCleanup },
+            simplifyMode: this.simplifyMode,
+            simplifyTolerance: this.simplifyTolerance,
+            maxPoints: this.maxPoints,
+            smoothing: this.smoothing
+        };
+    }
+
+    finishTrace(trace, result, error = null) {
+        if (this.activeTrace !== trace) return;
+        this.activeTrace = null;
+        this.hideTraceProgress();
+
+        if (error) {
+            alert(`Failed to trace silhouette: ${error}`);
+            trace.resolve(null);
+            return;
+        }
+        if (result.tolerance !== undefined) this.lastSimplifyTolerance = result.tolerance;
+        if (result.otsuThreshold !== undefined) {
+            this.otsuThreshold = result.otsuThreshold;
+            this.updateOtsuLabel();
+        }
+        trace.resolve(result);
+    }
+
+    // Stopping the worker is the only way to interrupt it; the next trace starts a new one
+    cancelTrace() {
+        const trace = this.activeTrace;
+        if (!trace) return;
+        this.activeTrace = null;
+        if (this.traceWorker) {
+            this.traceWorker.terminate();
+            this.traceWorker = null;
+        }
+        this.hideTraceProgress();
+        trace.resolve(null);
+    }
+
+    // The desktop panel and its mobile copy each have a progress block
+    updateTraceProgress(stage, fraction) {
+        document.querySelectorAll('.trace-progress').forEach(progress => {
+            progress.style.display = '';
+            progress.querySelector('.trace-progress-label').textContent = `${stage}…`;
+            progress.querySelector('.trace-progress-fill').style.width = `${Math.round(fraction * 100)}%`;
+        });
+    }
+
+    hideTraceProgress() {
+        document.querySelectorAll('.trace-progress').forEach(progress => {
+            progress.style.display = 'none';
+        });
+    }
+
+    sampleBackgroundColor(data, width, height) {
+        const samples = [
+            [0, 0],
+            [width - 1, 0],
+            [0, height - 1],
+            [width - 1, height - 1],
+            [Math.floor(width * 0.25), 0],
+            [Math.floor(width * 0.75), 0],
+            [Math.floor(width * 0.25), height - 1],
+            [Math.floor(width * 0.75), height - 1],
+            [0, Math.floor(height * 0.25)],
+            [0, Math.floor(height * 0.75)],
+            [width - 1, Math.floor(height * 0.25)],
+            [width - 1, Math.floor(height * 0.75)]
+        ];
+
+        let r = 0, g = 0, b = 0;
+        samples.forEach(([x, y]) => {
+            const idx = (y * width + x) * 4;
+            r += data[idx];
+            g += data[idx + 1];
+            b += data[idx + 2];
+        });
+
+        const count = samples.length;
+        return {
+            r: r / count,
+            g: g / count,
+            b: b / count
+        };
+    }
+
+    computeBackgroundThreshold(data, width, height, bgColor, toleranceSlider = 50) {
+        const diffs = [];
+        const stepX = Math.max(1, Math.round(width / 24));
+        const stepY = Math.max(1, Math.round(height / 24));
+
+        for (let x = 0; x < width; x += stepX) {
+            diffs.push(this.pixelDistance(data, width, x, 0, bgColor));
+            diffs.push(this.pixelDistance(data, width, x, height - 1, bgColor));
+        }
+        for (let y = 0; y < height; y += stepY) {
+            diffs.push(this.pixelDistance(data, width, 0, y, bgColor));
+            diffs.push(this.pixelDistance(data, width, width - 1, y, bgColor));
+        }
+
+        if (diffs.length === 0) {
+            return 40;
+        }
+
+        const mean = diffs.reduce((sum, value) => sum + value, 0) / diffs.length;
+        const variance = diffs.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / diffs.length;
+        const std = Math.sqrt(Math.max(0, variance));
+
+        const baseThreshold = mean + std * 1.5 + 10;
+        const adjustment = (toleranceSlider - 50) * 1.5;
+        const finalThreshold = Math.min(200, Math.max(10, baseThreshold + adjustment));
+        return finalThreshold;
+    }
+
+    pixelDistance(data, width, x, y, bgColor) {
+        const idx = (y * width + x) * 4;
+        return Math.sqrt(this.colorDistanceSquared(data[idx], data[idx + 1], data[idx + 2], bgColor));
+    }
+
+    colorDistanceSquared(r, g, b, color) {
+        const dr = r - color.r;
+        const dg = g - color.g;
+        const db = b - color.b;
+        return dr * dr + dg * dg + db * db;
+    }
+
+    buildSubjectMask(data, width, height, bgColor, threshold) {
+        const total = width * height;
+        const visited = new Uint8Array(total);
+        const queue = [];
+        const thresholdSq = threshold * threshold;
+
+        const enqueueIfBackground = (x, y) => {
+            if (x < 0 || x >= width || y < 0 || y >= height) return;
+            const idx = y * width + x;
+            if (visited[idx]) return;
+            const offset = idx * 4;
+            const dist = this.colorDistanceSquared(data[offset], data[offset + 1], data[offset + 2], bgColor);
+            if (dist <= thresholdSq) {
+                visited[idx] = 1;
+                queue.push(idx);
+            }
+        };
+
+        for (let x = 0; x < width; x++) {
+            enqueueIfBackground(x, 0);
+            enqueueIfBackground(x, height - 1);
+        }
+        for (let y = 0; y < height; y++) {
+            enqueueIfBackground(0, y);
+            enqueueIfBackground(width - 1, y);
+        }
+
+        let head = 0;
+        while (head < queue.length) {
+            const idx = queue[head++];
+            const x = idx % width;
+            const y = Math.floor(idx / width);
+            enqueueIfBackground(x + 1, y);
+            enqueueIfBackground(x - 1, y);
+            enqueueIfBackground(x, y + 1);
+            enqueueIfBackground(x, y - 1);
+        }
+
+        const mask = new Uint8Array(total);
+        let subjectPixels = 0;
+        for (let i = 0; i < total; i++) {
+            if (!visited[i]) {
+                mask[i] = 1;
+                subjectPixels++;
+            }
+        }
+
+        if (subjectPixels === 0) {
+            return null;
+        }
+
+        if (this.useInteriorSampling) {
+            const interior = this.extractInteriorMask(data, width, height, bgColor, threshold);
+            if (interior) {
+                for (let i = 0; i < total; i++) {
+                    if (interior[i]) mask[i] = 1;
+                }
+            }
+        }
+
+        if (this.traceHoles) {
+            this.cutEnclosedBackground(mask, data, width, height, bgColor, threshold);
+        }
+
+        return this.expandMask(mask, width, height, 2);
+    }
+
+    // Background-coloured areas the border flood fill can't reach (the inside of a ring)
+    // become holes; small ones are kept as subject detail
+    cutEnclosedBackground(mask, data, width, height, bgColor, threshold) {
+        const total = width * height;
+        const thresholdSq = threshold * threshold;
+        const minPixels = Math.max(16, Math.round(total * 0.0005));
+        const seen = new Uint8Array(total);
+        const isBackground = (idx) => {
+            const offset = idx * 4;
+            return this.colorDistanceSquared(data[offset], data[offset + 1], data[offset + 2], bgColor) <= thresholdSq;
+        };
+
+        for (let i = 0; i < total; i++) {
+            if (!mask[i] || seen[i] || !isBackground(i)) continue;
+
+            const region = [i];
+            seen[i] = 1;
+            for (let head = 0; head < region.length; head++) {
+                const idx = region[head];
+                const x = idx % width;
+                const y = Math.floor(idx / width);
+                [[1, 0], [-1, 0], [0, 1], [0, -1]].forEach(([dx, dy]) => {
+                    const nx = x + dx;
+                    const ny = y + dy;
+                    if (nx < 0 || nx >= width || ny < 0 || ny >= height) return;
+                    const nIdx = ny * width + nx;
+                    if (mask[nIdx] && !seen[nIdx] && isBackground(nIdx)) {
+                        seen[nIdx] = 1;
+                        region.push(nIdx);
+                    }
+                });
+            }
+
+            if (region.length >= minPixels) {
+                region.forEach(idx => { mask[idx] = 0; });
+            }
+        }
+    }
+
+    extractLargestRegion(mask, width, height) {
+        const total = width * height;
+        const visited = new Uint8Array(total);
+        let bestRegion = null;
+        const offsets = [
+            [1, 0],
+            [-1, 0],
+            [0, 1],
+            [0, -1]
+        ];
+
+        for (let i = 0; i < total; i++) {
+            if (!mask[i] || visited[i]) continue;
+
+            const region = [];
+            const queue = [i];
+            let head = 0;
+            visited[i] = 1;
+
+            while (head < queue.length) {
+                const idx = queue[head++];
+                region.push(idx);
+                const x = idx % width;
+                const y = Math.floor(idx / width);
+
+                offsets.forEach(([dx, dy]) => {
+                    const nx = x + dx;
+                    const ny = y + dy;
+                    if (nx < 0 || nx >= width || ny < 0 || ny >= height) return;
+                    const nIdx = ny * width + nx;
+                    if (mask[nIdx] && !visited[nIdx]) {
+                        visited[nIdx] = 1;
+                        queue.push(nIdx);
+                    }
+                });
+            }
+
+            if (!bestRegion || region.length > bestRegion.length) {
+                bestRegion = region;
+            }
+        }
+
+        if (!bestRegion) return null;
+
+        const regionMask = new Uint8Array(total);
+        bestRegion.forEach(idx => {
+            regionMask[idx] = 1;
+        });
+        return regionMask;
+    }
+
+    extractInteriorMask(data, width, height, bgColor, threshold) {
+        const total = width * height;
+        const mask = new Uint8Array(total);
+        const extra = Math.max(15, threshold + 15);
+        const extraSq = extra * extra;
+        const marginX = Math.max(2, Math.floor(width * 0.05));
+        const marginY = Math.max(2, Math.floor(height * 0.05));
+        let count = 0;
+
+        for (let y = marginY; y < height - marginY; y++) {
+            for (let x = marginX; x < width - marginX; x++) {
+                const idx = y * width + x;
+                const offset = idx * 4;
+                const r = data[offset];
+                const g = data[offset + 1];
+                const b = data[offset + 2];
+                const distSq = this.colorDistanceSquared(r, g, b, bgColor);
+                if (distSq >= extraSq) {
+                    mask[idx] = 1;
+                    count++;
+                    continue;
+                }
+                const { s, v } = this.rgbToHsv(r, g, b);
+                if (s >= 0.28 && v >= 0.1 && v <= 0.98) {
+                    mask[idx] = 1;
+                    count++;
+                }
+            }
+        }
+
+        if (count < Math.max(100, Math.floor(total * 0.01))) {
+            return null;
+        }
+
+        return mask;
+    }
+
+    expandMask(mask, width, height, radius = 1) {
+        if (!mask) return null;
+        const expanded = new Uint8Array(mask.length);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const idx = y * width + x;
+                if (!mask[idx]) continue;
+                for (let dy = -radius; dy <= radius; dy++) {
+                    for (let dx = -radius; dx <= radius; dx++) {
+                        const nx = x + dx;
+                        const ny = y + dy;
+                        if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+                        const nIdx = ny * width + nx;
+                        expanded[nIdx] = 1;
+                    }
+                }
+            }
+        }
+        return expanded;
+    }
+
+    rgbToHsv(r, g, b) {
+        r /= 255;
+        g /= 255;
+        b /= 255;
+        const max = Math.max(r, g, b);
+        const min = Math.min(r, g, b);
+        let h = 0;
+        const v = max;
+        const delta = max - min;
+        const s = max === 0 ? 0 : delta / max;
+
+        if (delta !== 0) {
+            switch (max) {
+                case r:
+                    h = ((g - b) / delta) % 6;
+                    break;
+                case g:
+                    h = (b - r) / delta + 2;
+                    break;
+                default:
+                    h = (r - g) / delta + 4;
+                    break;
+            }
+            h *= 60;
+            if (h < 0) h += 360;
+        }
+
+        return { h, s, v };
+    }
+
+    // ===== SIMPLIFICATION =====
+    // Traced outlines are smoothed (optional) and then simplified with Douglas-Peucker, either
+    // at a fixed tolerance or at the smallest tolerance that fits the point budget.
+
+    simplifyLoops(loops) {
+        const smoothed = loops.map(loop => ({ points: this.smoothLoop(loop.points), hole: loop.hole }));
+        const simplifyAt = tolerance => smoothed
+            .map(loop => ({ points: this.simplifyPath(loop.points, tolerance), hole: loop.hole }))
+            .filter(loop => loop.points.length >= 3);
+
+        const tolerance = this.simplifyMode === 'budget'
+            ? this.findToleranceForBudget(simplifyAt, this.maxPoints)
+            : this.simplifyTolerance;
+        this.lastSimplifyTolerance = tolerance;
+
+        const result = simplifyAt(tolerance);
+        return result.some(loop => !loop.hole) ? result : [];
+    }
+
+    // Smallest tolerance whose result has at most budget points in total (binary search);
+    // the largest tolerance when nothing fits, which updateSimplifyInfo() flags
+    findToleranceForBudget(simplifyAt, budget) {
+        const count = tolerance => simplifyAt(tolerance).reduce((sum, loop) => sum + loop.points.length, 0);
+        let low = 0;
+        let high = 0.05;
+        if (count(high) > budget) return high;
+
+        for (let i = 0; i < 20; i++) {
+            const mid = (low + high) / 2;
+            if (count(mid) <= budget) {
+                high = mid;
+            } else {
+                low = mid;
+            }
+        }
+        return high;
+    }
+
+    smoothLoop(points) {
+        if (this.smoothing === 'chaikin') return this.chaikinSmooth(points, 2);
+        if (this.smoothing === 'spline') return this.splineSmooth(points);
+        return points;
+    }
+
+    // Corner cutting: each pass replaces every edge with points at 1/4 and 3/4 along it
+    chaikinSmooth(points, passes = 2) {
+        let result = points;
+        for (let pass = 0; pass < passes; pass++) {
+            const next = [];
+            result.forEach((p, i) => {
+                const q = result[(i + 1) % result.length];
+                next.push(
+                    { x: 0.75 * p.x + 0.25 * q.x, y: 0.75 * p.y + 0.25 * q.y },
+                    { x: 0.25 * p.x + 0.75 * q.x, y: 0.25 * p.y + 0.75 * q.y }
+                );
+            });
+            result = next;
+        }
+        return result;
+    }
+
+    // Closed Catmull-Rom spline through every stride-th point, sampled along each segment
+    splineSmooth(points, stride = 4, samples = 4) {
+        const control = points.filter((p, i) => i % stride === 0);
+        if (control.length < 4) return points;
+
+        const n = control.length;
+        const clamp = value => Math.min(1, Math.max(0, value));
+        const result = [];
+        for (let i = 0; i < n; i++) {
+            const p0 = control[(i - 1 + n) % n];
+            const p1 = control[i];
+            const p2 = control[(i + 1) % n];
+            const p3 = control[(i + 2) % n];
+            for (let step = 0; step < samples; step++) {
+                const t = step / samples;
+                const t2 = t * t;
+                const t3 = t2 * t;
+                const at = (a, b, c, d) => 0.5 * (2 * b + (-a + c) * t + (2 * a - 5 * b + 4 * c - d) * t2 + (-a + 3 * b - 3 * c + d) * t3);
+                result.push({ x: clamp(at(p0.x, p1.x, p2.x, p3.x)), y: clamp(at(p0.y, p1.y, p2.y, p3.y)) });
+            }
+        }
+        return result;
+    }
+
+    // Keep the unsimplified outlines so the simplification settings can be adjusted afterwards
+    rememberTrace(loops) {
+        this.lastTrace = { loops, signature: this.silhouetteSignature() };
+        this.updateSimplifyInfo();
+    }
+
+    silhouetteSignature() {
+        return JSON.stringify(this.getSilhouetteRings());
+    }
+
+    // Settings changed: re-simplify the last trace live, unless the silhouette was changed since.
+    // Like a vertex drag, one adjustment (until the control is released) is one undo step.
+    resimplifyLastTrace() {
+        const trace = this.lastTrace;
+        if (trace && trace.signature === this.silhouetteSignature()) {
+            const loops = this.simplifyLoops(trace.loops);
+            if (loops.length > 0) {
+                if (!this.simplifyAdjusting) {
+                    this.saveState();
+                    this.simplifyAdjusting = true;
+                }
+                this.setSilhouetteLoops(loops);
+                trace.signature = this.silhouetteSignature();
+                document.getElementById('silhouetteInfo').textContent = `${this.describeSilhouette()} traced`;
+                this.render();
+            }
+        }
+        this.updateSimplifyInfo();
+    }
+
+    updateSimplifyInfo() {
+        const info = document.getElementById('simplifyInfo');
+        if (!info) return;
+
+        const trace = this.lastTrace;
+        if (!trace || trace.signature !== this.silhouetteSignature()) {
+            info.textContent = 'Applies to the next trace';
+            return;
+        }
+        const points = this.getSilhouetteRings().reduce((sum, ring) => sum + ring.length, 0);
+        const tolerance = `tolerance ${(this.lastSimplifyTolerance * 1000).toFixed(2)}‰`;
+        // Even the largest tolerance can leave more points than the budget (many regions or holes)
+        info.textContent = this.simplifyMode === 'budget' && points > this.maxPoints
+            ? `${points} points at ${tolerance}, over the ${this.maxPoints}-point budget`
+            : `${points} points at ${tolerance}`;
+    }
+
+    // ===== MASK STRATEGIES =====
+
+    // Subject mask (1 = subject) for the selected strategy, or null if nothing was found
+    buildStrategyMask(data, width, height) {
+        if (this.maskStrategy === 'background') {
+            const bgColor = this.sampleBackgroundColor(data, width, height);
+            const threshold = this.computeBackgroundThreshold(data, width, height, bgColor, this.backgroundTolerance);
+            return this.buildSubjectMask(data, width, height, bgColor, threshold);
+        }
 
-        const baseThreshold = mean + std * 1.5 + 10;
-        const adjustment = (toleranceSlider - 50) * 1.5;
-        const finalThreshold = Math.min(200, Math.max(10, baseThreshold + adjustment));
-        return finalThreshold;
+        let mask = null;
+        if (this.maskStrategy === 'alpha') {
+            mask = this.buildAlphaMask(data, width, height, this.alphaThreshold);
+        } else if (this.maskStrategy === 'otsu') {
+            mask = this.buildOtsuMask(data, width, height);
+        } else if (this.maskStrategy === 'hsv') {
+            mask = this.buildHsvMask(data, width, height);
+        }
+        if (!mask) return null;
+
+        // Per-pixel thresholds leave gaps inside the subject (highlights, eyes); fill them,
+        // except for large ones when holes are being traced
+        const maxGap = this.traceHoles ? Math.max(16, Math.round(width * height * 0.0005)) : Infinity;
+        this.fillEnclosedGaps(mask, width, height, maxGap);
+        return mask.some(value => value) ? mask : null;
     }
 
-    pixelDistance(data, width, x, y, bgColor) {
-        const idx = (y * width + x) * 4;
-        return Math.sqrt(this.colorDistanceSquared(data[idx], data[idx + 1], data[idx + 2], bgColor));
+    // Opaque enough = subject; null when the image has no transparency to go by
+    buildAlphaMask(data, width, height, threshold) {
+        const mask = new Uint8Array(width * height);
+        let transparent = 0;
+        for (let i = 0; i < mask.length; i++) {
+            if (data[i * 4 + 3] >= threshold) {
+                mask[i] = 1;
+            } else {
+                transparent++;
+            }
+        }
+        return transparent > 0 ? mask : null;
     }
 
-    colorDistanceSquared(r, g, b, color) {
-        const dr = r - color.r;
-        const dg = g - color.g;
-        const db = b - color.b;
-        return dr * dr + dg * dg + db * db;
+    luminance(r, g, b) {
+        return Math.round(0.299 * r + 0.587 * g + 0.114 * b);
     }
 
-    buildSubjectMask(data, width, height, bgColor, threshold) {
+    // Split luminance at Otsu's threshold; whichever side most of the border is on is background
+    buildOtsuMask(data, width, height) {
         const total = width * height;
-        const visited = new Uint8Array(total);
-        const queue = [];
-        const thresholdSq = threshold * threshold;
+        const luma = new Uint8Array(total);
+        const histogram = new Array(256).fill(0);
+        let counted = 0;
+        for (let i = 0; i < total; i++) {
+            if (data[i * 4 + 3] < 128) continue; // Transparent pixels are always background
+            luma[i] = this.luminance(data[i * 4], data[i * 4 + 1], data[i * 4 + 2]);
+            histogram[luma[i]]++;
+            counted++;
+        }
+        if (counted === 0) return null;
 
-        const enqueueIfBackground = (x, y) => {
-            if (x < 0 || x >= width || y < 0 || y >= height) return;
-            const idx = y * width + x;
-            if (visited[idx]) return;
-            const offset = idx * 4;
-            const dist = this.colorDistanceSquared(data[offset], data[offset + 1], data[offset + 2], bgColor);
-            if (dist <= thresholdSq) {
-                visited[idx] = 1;
-                queue.push(idx);
-            }
-        };
+        const threshold = this.computeOtsuThreshold(histogram, counted);
+        this.otsuThreshold = threshold;
 
+        let borderAbove = 0;
+        let borderCount = 0;
         for (let x = 0; x < width; x++) {
-            enqueueIfBackground(x, 0);
-            enqueueIfBackground(x, height - 1);
-        }
-        for (let y = 0; y < height; y++) {
-            enqueueIfBackground(0, y);
-            enqueueIfBackground(width - 1, y);
+            for (const y of [0, height - 1]) {
+                const idx = y * width + x;
+                if (data[idx * 4 + 3] < 128) continue;
+                borderCount++;
+                if (luma[idx] > threshold) borderAbove++;
+            }
         }
-
-        let head = 0;
-        while (head < queue.length) {
-            const idx = queue[head++];
-            const x = idx % width;
-            const y = Math.floor(idx / width);
-            enqueueIfBackground(x + 1, y);
-            enqueueIfBackground(x - 1, y);
-            enqueueIfBackground(x, y + 1);
-            enqueueIfBackground(x, y - 1);
+        for (let y = 1; y < height - 1; y++) {
+            for (const x of [0, width - 1]) {
+                const idx = y * width + x;
+                if (data[idx * 4 + 3] < 128) continue;
+                borderCount++;
+                if (luma[idx] > threshold) borderAbove++;
+            }
         }
+        const lightBackground = borderAbove * 2 >= borderCount;
 
         const mask = new Uint8Array(total);
-        let subjectPixels = 0;
         for (let i = 0; i < total; i++) {
-            if (!visited[i]) {
+            if (data[i * 4 + 3] < 128) continue;
+            if ((luma[i] > threshold) !== lightBackground) mask[i] = 1;
+        }
+        return mask;
+    }
+
+    // Otsu's method: the threshold (class 0 = luminance <= t) maximising between-class variance
+    computeOtsuThreshold(histogram, total) {
+        let sumAll = 0;
+        for (let i = 0; i < 256; i++) sumAll += i * histogram[i];
+
+        let sumBelow = 0;
+        let weightBelow = 0;
+        let best = 127;
+        let bestVariance = -1;
+        for (let t = 0; t < 256; t++) {
+            weightBelow += histogram[t];
+            sumBelow += t * histogram[t];
+            const weightAbove = total - weightBelow;
+            if (weightBelow === 0) continue;
+            if (weightAbove === 0) break;
+
+            const meanBelow = sumBelow / weightBelow;
+            const meanAbove = (sumAll - sumBelow) / weightAbove;
+            const variance = weightBelow * weightAbove * (meanBelow - meanAbove) ** 2;
+            if (variance > bestVariance) {
+                bestVariance = variance;
+                best = t;
+            }
+        }
+        return best;
+    }
+
+    // Saturated pixels within the value range are subject (the test extractInteriorMask uses)
+    buildHsvMask(data, width, height) {
+        const mask = new Uint8Array(width * height);
+        for (let i = 0; i < mask.length; i++) {
+            if (data[i * 4 + 3] < 128) continue;
+            const { s, v } = this.rgbToHsv(data[i * 4], data[i * 4 + 1], data[i * 4 + 2]);
+            if (s >= this.hsvMinSaturation && v >= this.hsvMinValue && v <= this.hsvMaxValue) {
                 mask[i] = 1;
-                subjectPixels++;
             }
         }
+        return mask;
+    }
 
-        if (subjectPixels === 0) {
-            return null;
+    // Fill empty areas that don't reach the image border and are smaller than maxPixels
+    fillEnclosedGaps(mask, width, height, maxPixels = Infinity) {
+        const total = width * height;
+        const seen = new Uint8Array(total);
+
+        for (let i = 0; i < total; i++) {
+            if (mask[i] || seen[i]) continue;
+
+            const region = [i];
+            let touchesBorder = false;
+            seen[i] = 1;
+            for (let head = 0; head < region.length; head++) {
+                const idx = region[head];
+                const x = idx % width;
+                const y = Math.floor(idx / width);
+                if (x === 0 || y === 0 || x === width - 1 || y === height - 1) touchesBorder = true;
+                [[1, 0], [-1, 0], [0, 1], [0, -1]].forEach(([dx, dy]) => {
+                    const nx = x + dx;
+                    const ny = y + dy;
+                    if (nx < 0 || nx >= width || ny < 0 || ny >= height) return;
+                    const nIdx = ny * width + nx;
+                    if (!mask[nIdx] && !seen[nIdx]) {
+                        seen[nIdx] = 1;
+                        region.push(nIdx);
+                    }
+                });
+            }
+
+            if (!touchesBorder && region.length < maxPixels) {
+                region.forEach(idx => { mask[idx] = 1; });
+            }
         }
+    }
 
-        if (this.useInteriorSampling) {
-            const interior = this.extractInteriorMask(data, width, height, bgColor, threshold);
-            if (interior) {
-                for (let i = 0; i < total; i++) {
-                    if (interior[i]) mask[i] = 1;
+    // ===== MASK CLEANUP =====
+    // Runs on the subject mask before region extraction and tracing (settings in this.maskCleanup,
+    // in preview pixels; scale converts them for a finer grid)
+
+    cleanupMask(mask, width, height, scale = 1) {
+        const grow = Math.round(this.maskCleanup.grow * scale);
+        const open = Math.round(this.maskCleanup.open * scale);
+        const close = Math.round(this.maskCleanup.close * scale);
+        const fillHoles = Math.round(this.maskCleanup.fillHoles * scale * scale);
+        const minIsland = Math.round(this.maskCleanup.minIsland * scale * scale);
+        let result = mask;
+
+        // Opening trims spikes and hairs thinner than the radius; closing bridges narrow gaps
+        if (open > 0) {
+            result = this.dilateMask(this.erodeMask(result, width, height, open), width, height, open);
+        }
+        if (close > 0) {
+            result = this.erodeMask(this.dilateMask(result, width, height, close), width, height, close);
+        }
+        if (grow > 0) {
+            result = this.dilateMask(result, width, height, grow);
+        } else if (grow < 0) {
+            result = this.erodeMask(result, width, height, -grow);
+        }
+
+        if (fillHoles > 0 || minIsland > 0) {
+            if (result === mask) result = mask.slice();
+            if (fillHoles > 0) this.fillEnclosedGaps(result, width, height, fillHoles);
+            if (minIsland > 0) this.removeSmallIslands(result, width, height, minIsland);
+        }
+        return result;
+    }
+
+    // Chamfer distance (steps of 1 and √2) from each pixel to the nearest set pixel
+    maskDistance(mask, width, height) {
+        const dist = new Float32Array(width * height);
+        for (let i = 0; i < dist.length; i++) dist[i] = mask[i] ? 0 : Infinity;
+        const D = Math.SQRT2;
+
+        // Forward pass (left, up-left, up, up-right), then backward (the mirror image)
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const idx = y * width + x;
+                let d = dist[idx];
+                if (d === 0) continue;
+                if (x > 0) d = Math.min(d, dist[idx - 1] + 1);
+                if (y > 0) {
+                    const up = idx - width;
+                    d = Math.min(d, dist[up] + 1);
+                    if (x > 0) d = Math.min(d, dist[up - 1] + D);
+                    if (x < width - 1) d = Math.min(d, dist[up + 1] + D);
+                }
+                dist[idx] = d;
+            }
+        }
+        for (let y = height - 1; y >= 0; y--) {
+            for (let x = width - 1; x >= 0; x--) {
+                const idx = y * width + x;
+                let d = dist[idx];
+                if (d === 0) continue;
+                if (x < width - 1) d = Math.min(d, dist[idx + 1] + 1);
+                if (y < height - 1) {
+                    const down = idx + width;
+                    d = Math.min(d, dist[down] + 1);
+                    if (x < width - 1) d = Math.min(d, dist[down + 1] + D);
+                    if (x > 0) d = Math.min(d, dist[down - 1] + D);
                 }
+                dist[idx] = d;
             }
         }
+        return dist;
+    }
 
-        return this.expandMask(mask, width, height, 2);
+    // Round-brush dilation; unlike expandMask() the cost doesn't grow with the radius
+    dilateMask(mask, width, height, radius) {
+        const dist = this.maskDistance(mask, width, height);
+        const result = new Uint8Array(mask.length);
+        for (let i = 0; i < result.length; i++) {
+            if (dist[i] <= radius) result[i] = 1;
+        }
+        return result;
     }
 
-    extractLargestRegion(mask, width, height) {
+    // Erosion is dilation of the background (the image border doesn't erode)
+    erodeMask(mask, width, height, radius) {
+        const inverted = new Uint8Array(mask.length);
+        for (let i = 0; i < mask.length; i++) inverted[i] = mask[i] ? 0 : 1;
+        const grown = this.dilateMask(inverted, width, height, radius);
+        for (let i = 0; i < grown.length; i++) grown[i] = grown[i] ? 0 : 1;
+        return grown;
+    }
+
+    // Clear subject areas smaller than minPixels
+    removeSmallIslands(mask, width, height, minPixels) {
         const total = width * height;
-        const visited = new Uint8Array(total);
-        let bestRegion = null;
-        const offsets = [
-            [1, 0],
-            [-1, 0],
-            [0, 1],
-            [0, -1]
-        ];
+        const seen = new Uint8Array(total);
 
         for (let i = 0; i < total; i++) {
-            if (!mask[i] || visited[i]) continue;
-
-            const region = [];
-            const queue = [i];
-            let head = 0;
-            visited[i] = 1;
+            if (!mask[i] || seen[i]) continue;
 
-            while (head < queue.length) {
-                const idx = queue[head++];
-                region.push(idx);
+            const region = [i];
+            seen[i] = 1;
+            for (let head = 0; head < region.length; head++) {
+                const idx = region[head];
                 const x = idx % width;
                 const y = Math.floor(idx / width);
-
-                offsets.forEach(([dx, dy]) => {
+                [[1, 0], [-1, 0], [0, 1], [0, -1]].forEach(([dx, dy]) => {
                     const nx = x + dx;
                     const ny = y + dy;
                     if (nx < 0 || nx >= width || ny < 0 || ny >= height) return;
                     const nIdx = ny * width + nx;
-                    if (mask[nIdx] && !visited[nIdx]) {
-                        visited[nIdx] = 1;
-                        queue.push(nIdx);
+                    if (mask[nIdx] && !seen[nIdx]) {
+                        seen[nIdx] = 1;
+                        region.push(nIdx);
                     }
                 });
             }
 
-            if (!bestRegion || region.length > bestRegion.length) {
-                bestRegion = region;
+            if (region.length < minPixels) {
+                region.forEach(idx => { mask[idx] = 0; });
             }
         }
+    }
 
-        if (!bestRegion) return null;
+    // ===== MASK OVERLAY =====
 
-        const regionMask = new Uint8Array(total);
-        bestRegion.forEach(idx => {
-            regionMask[idx] = 1;
-        });
-        return regionMask;
+    // Rebuild the overlay shortly after a mask setting changes (sliders fire on every step)
+    scheduleMaskOverlay() {
+        clearTimeout(this.maskOverlayTimer);
+        this.maskOverlayTimer = null;
+        if (!this.isMaskOverlayVisible() || !this.image) {
+            this.maskOverlay = null;
+            return;
+        }
+        this.maskOverlayTimer = setTimeout(() => {
+            this.maskOverlayTimer = null;
+            this.maskOverlay = this.buildMaskOverlay();
+            this.render();
+        }, 120);
     }
 
-    extractInteriorMask(data, width, height, bgColor, threshold) {
-        const total = width * height;
-        const mask = new Uint8Array(total);
-        const extra = Math.max(15, threshold + 15);
-        const extraSq = extra * extra;
-        const marginX = Math.max(2, Math.floor(width * 0.05));
-        const marginY = Math.max(2, Math.floor(height * 0.05));
-        let count = 0;
+    isMaskOverlayVisible() {
+        return this.showMaskOverlay || this.currentTool === 'mask';
+    }
 
-        for (let y = marginY; y < height - marginY; y++) {
-            for (let x = marginX; x < width - marginX; x++) {
-                const idx = y * width + x;
-                const offset = idx * 4;
-                const r = data[offset];
-                const g = data[offset + 1];
-                const b = data[offset + 2];
-                const distSq = this.colorDistanceSquared(r, g, b, bgColor);
-                if (distSq >= extraSq) {
-                    mask[idx] = 1;
-                    count++;
-                    continue;
-                }
-                const { s, v } = this.rgbToHsv(r, g, b);
-                if (s >= 0.28 && v >= 0.1 && v <= 0.98) {
-                    mask[idx] = 1;
-                    count++;
-                }
+    // The mask autoTraceSilhouette() would trace: subject tinted green, background red
+    buildMaskOverlay() {
+        const image = this.image;
+        const result = this.prepareMaskFromImage();
+        if (!result) return { image, canvas: null };
+
+        const { mask, width, height } = result;
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        const overlay = ctx.createImageData(width, height);
+        for (let i = 0; i < mask.length; i++) {
+            const offset = i * 4;
+            if (mask[i]) {
+                overlay.data.set([72, 220, 140, 120], offset);
+            } else {
+                overlay.data.set([255, 70, 70, 70], offset);
             }
         }
+        ctx.putImageData(overlay, 0, 0);
+        return { image, canvas };
+    }
+
+    drawMaskOverlay() {
+        if (!this.maskOverlay || this.maskOverlay.image !== this.image) {
+            // New image (or overlay just switched on): build it once the render settles
+            if (!this.maskOverlayTimer) this.scheduleMaskOverlay();
+            return;
+        }
+        if (!this.maskOverlay.canvas) return;
 
-        if (count < Math.max(100, Math.floor(total * 0.01))) {
-            return null;
+        const view = this.getViewTransform();
+        this.ctx.drawImage(this.maskOverlay.canvas, view.offsetX, view.offsetY,
+            this.image.width * view.scale, this.image.height * view.scale);
+    }
+
+    // ===== MASK REFINEMENT =====
+    // this.maskEdit holds the detected mask (base) and brush edits at preview resolution:
+    // an edit of 1 includes the pixel, -1 excludes it and 0 leaves it to the base mask.
+
+    startMaskEdit() {
+        if (!this.image) {
+            alert('Please load an image first');
+            return;
+        }
+
+        if (!this.maskEdit) {
+            const detected = this.computeSubjectMask();
+            const size = detected.width * detected.height;
+            this.maskEdit = {
+                width: detected.width,
+                height: detected.height,
+                base: detected.mask || new Uint8Array(size),
+                edits: new Int8Array(size),
+                pixels: detected.pixels
+            };
+            this.maskUndo = [];
+            this.maskRedo = [];
+            this.scheduleProjectSave();
         }
 
+        document.querySelectorAll('.tool-btn[data-tool]').forEach(b => {
+            b.classList.toggle('active', b.dataset.tool === 'mask');
+        });
+        this.setTool('mask');
+        this.updateMaskPanel();
+    }
+
+    updateMaskPanel() {
+        const options = document.getElementById('maskRefineOptions');
+        if (options) options.style.display = this.maskEdit ? '' : 'none';
+    }
+
+    getRefinedMask() {
+        const { base, edits } = this.maskEdit;
+        const mask = new Uint8Array(base.length);
+        for (let i = 0; i < mask.length; i++) {
+            mask[i] = edits[i] ? (edits[i] > 0 ? 1 : 0) : base[i];
+        }
         return mask;
     }
 
-    expandMask(mask, width, height, radius = 1) {
-        if (!mask) return null;
-        const expanded = new Uint8Array(mask.length);
-        for (let y = 0; y < height; y++) {
-            for (let x = 0; x < width; x++) {
-                const idx = y * width + x;
-                if (!mask[idx]) continue;
-                for (let dy = -radius; dy <= radius; dy++) {
-                    for (let dx = -radius; dx <= radius; dx++) {
-                        const nx = x + dx;
-                        const ny = y + dy;
-                        if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
-                        const nIdx = ny * width + nx;
-                        expanded[nIdx] = 1;
-                    }
+    // Detect again with the current strategy settings; brush edits stay on top
+    redetectMask() {
+        if (!this.maskEdit) return;
+        const detected = this.computeSubjectMask();
+        if (detected.width !== this.maskEdit.width || detected.height !== this.maskEdit.height) {
+            alert('The image size changed; discard the mask and refine it again.');
+            return;
+        }
+        this.maskEdit.base = detected.mask || new Uint8Array(detected.width * detected.height);
+        this.maskEdit.pixels = detected.pixels;
+        this.scheduleMaskOverlay();
+        this.scheduleProjectSave();
+    }
+
+    discardMaskEdit() {
+        if (!this.maskEdit) return;
+        if (this.maskEdit.edits.some(value => value) && !confirm('Discard the brush edits to the mask?')) return;
+        this.maskEdit = null;
+        this.maskUndo = [];
+        this.maskRedo = [];
+        this.updateMaskPanel();
+        this.scheduleMaskOverlay();
+        this.scheduleProjectSave();
+        this.render();
+    }
+
+    // Subject black, background transparent: the format loadMaskFromImage() reads back
+    async exportMaskPng() {
+        if (!this.image) {
+            alert('Please load an image first');
+            return;
+        }
+
+        try {
+            const source = this.maskEdit
+                ? { mask: this.getRefinedMask(), width: this.maskEdit.width, height: this.maskEdit.height }
+                : this.computeSubjectMask();
+            if (!source.mask) throw new Error('no subject was detected');
+
+            const canvas = document.createElement('canvas');
+            canvas.width = source.width;
+            canvas.height = source.height;
+            const ctx = canvas.getContext('2d');
+            const imageData = ctx.createImageData(source.width, source.height);
+            for (let i = 0; i < source.mask.length; i++) {
+                if (source.mask[i]) imageData.data[i * 4 + 3] = 255;
+            }
+            ctx.putImageData(imageData, 0, 0);
+
+            const levelId = document.getElementById('levelId').value || 'level';
+            const bytes = await this.canvasToPngBytes(canvas);
+            this.downloadBlob(new Blob([bytes], { type: 'image/png' }), `${levelId}_mask.png`);
+        } catch (error) {
+            alert(`Failed to export mask: ${error.message}`);
+        }
+    }
+
+    // Canvas point in mask pixels
+    canvasToMaskPixel(x, y) {
+        const point = this.canvasToNormalized(x, y);
+        return { x: point.x * this.maskEdit.width, y: point.y * this.maskEdit.height };
+    }
+
+    // Brush radius (set in canvas pixels) in mask pixels
+    getMaskBrushRadius() {
+        const view = this.getViewTransform();
+        return this.maskBrushRadius / view.scale * (this.maskEdit.width / this.image.width);
+    }
+
+    getMaskBrushValue() {
+        return { include: 1, exclude: -1, erase: 0 }[this.maskBrushMode] ?? 1;
+    }
+
+    startMaskStroke(x, y, shiftKey) {
+        if (!this.maskEdit) this.startMaskEdit();
+        if (!this.maskEdit) return;
+
+        this.maskUndo.push(this.maskEdit.edits.slice());
+        if (this.maskUndo.length > 20) this.maskUndo.shift();
+        this.maskRedo = [];
+
+        const point = this.canvasToMaskPixel(x, y);
+        if (this.maskBrushMode === 'magic') {
+            this.magicFillMask(point, shiftKey ? -1 : 1);
+            this.refreshMaskOverlay();
+            this.scheduleProjectSave();
+            return;
+        }
+
+        this.maskStroke = { last: point };
+        const rect = this.paintMaskDab(point, this.getMaskBrushRadius(), this.getMaskBrushValue());
+        this.updateMaskOverlayRect(rect);
+    }
+
+    moveMaskStroke(x, y) {
+        this.maskCursor = { x, y };
+        if (this.maskStroke) {
+            const point = this.canvasToMaskPixel(x, y);
+            const radius = this.getMaskBrushRadius();
+            const value = this.getMaskBrushValue();
+
+            // Dabs along the segment so fast strokes don't leave gaps
+            const last = this.maskStroke.last;
+            const steps = Math.max(1, Math.ceil(Math.sqrt(this.distanceSquared(last, point)) / Math.max(1, radius / 2)));
+            let rect = null;
+            for (let i = 1; i <= steps; i++) {
+                const t = i / steps;
+                const dab = this.paintMaskDab({ x: last.x + (point.x - last.x) * t, y: last.y + (point.y - last.y) * t }, radius, value);
+                rect = rect ? {
+                    minX: Math.min(rect.minX, dab.minX),
+                    minY: Math.min(rect.minY, dab.minY),
+                    maxX: Math.max(rect.maxX, dab.maxX),
+                    maxY: Math.max(rect.maxY, dab.maxY)
+                } : dab;
+            }
+            this.maskStroke.last = point;
+            this.updateMaskOverlayRect(rect);
+            return;
+        }
+        this.render();
+    }
+
+    // The stroke only patched the overlay; cleanup and region extraction run once at the end
+    endMaskStroke() {
+        this.maskStroke = null;
+        this.refreshMaskOverlay();
+        this.scheduleProjectSave();
+    }
+
+    paintMaskDab(center, radius, value) {
+        const { width, height, edits } = this.maskEdit;
+        const radiusSq = radius * radius;
+        const minX = Math.max(0, Math.floor(center.x - radius));
+        const maxX = Math.min(width - 1, Math.ceil(center.x + radius));
+        const minY = Math.max(0, Math.floor(center.y - radius));
+        const maxY = Math.min(height - 1, Math.ceil(center.y + radius));
+
+        for (let y = minY; y <= maxY; y++) {
+            for (let x = minX; x <= maxX; x++) {
+                const dx = x + 0.5 - center.x;
+                const dy = y + 0.5 - center.y;
+                if (dx * dx + dy * dy <= radiusSq) edits[y * width + x] = value;
+            }
+        }
+        return { minX, minY, maxX, maxY };
+    }
+
+    // Include (or exclude) the connected area whose colour is close to the clicked pixel
+    magicFillMask(seed, value) {
+        const edit = this.maskEdit;
+        const { width, height } = edit;
+        const sx = Math.floor(seed.x);
+        const sy = Math.floor(seed.y);
+        if (sx < 0 || sy < 0 || sx >= width || sy >= height) return;
+
+        if (!edit.pixels) {
+            // Not kept in saved projects; recompute from the image
+            const detected = this.computeSubjectMask();
+            if (detected.width !== width || detected.height !== height) return;
+            edit.pixels = detected.pixels;
+        }
+
+        const pixels = edit.pixels;
+        const start = sy * width + sx;
+        const color = { r: pixels[start * 4], g: pixels[start * 4 + 1], b: pixels[start * 4 + 2] };
+        const toleranceSq = this.magicTolerance * this.magicTolerance;
+        const seen = new Uint8Array(width * height);
+        const queue = [start];
+        seen[start] = 1;
+
+        for (let head = 0; head < queue.length; head++) {
+            const idx = queue[head];
+            edit.edits[idx] = value;
+            const x = idx % width;
+            const y = Math.floor(idx / width);
+            [[1, 0], [-1, 0], [0, 1], [0, -1]].forEach(([dx, dy]) => {
+                const nx = x + dx;
+                const ny = y + dy;
+                if (nx < 0 || nx >= width || ny < 0 || ny >= height) return;
+                const nIdx = ny * width + nx;
+                if (seen[nIdx]) return;
+                seen[nIdx] = 1;
+                const offset = nIdx * 4;
+                if (this.colorDistanceSquared(pixels[offset], pixels[offset + 1], pixels[offset + 2], color) <= toleranceSq) {
+                    queue.push(nIdx);
                 }
-            }
+            });
         }
-        return expanded;
     }
 
-    rgbToHsv(r, g, b) {
-        r /= 255;
-        g /= 255;
-        b /= 255;
-        const max = Math.max(r, g, b);
-        const min = Math.min(r, g, b);
-        let h = 0;
-        const v = max;
-        const delta = max - min;
-        const s = max === 0 ? 0 : delta / max;
+    undoMaskStroke() {
+        if (!this.maskEdit || this.maskUndo.length === 0) return false;
+        this.maskRedo.push(this.maskEdit.edits);
+        this.maskEdit.edits = this.maskUndo.pop();
+        this.refreshMaskOverlay();
+        this.scheduleProjectSave();
+        return true;
+    }
 
-        if (delta !== 0) {
-            switch (max) {
-                case r:
-                    h = ((g - b) / delta) % 6;
-                    break;
-                case g:
-                    h = (b - r) / delta + 2;
-                    break;
-                default:
-                    h = (r - g) / delta + 4;
-                    break;
+    redoMaskStroke() {
+        if (!this.maskEdit || this.maskRedo.length === 0) return false;
+        this.maskUndo.push(this.maskEdit.edits);
+        this.maskEdit.edits = this.maskRedo.pop();
+        this.refreshMaskOverlay();
+        this.scheduleProjectSave();
+        return true;
+    }
+
+    // Rebuild the overlay right away
+    refreshMaskOverlay() {
+        clearTimeout(this.maskOverlayTimer);
+        this.maskOverlayTimer = null;
+        this.maskOverlay = this.buildMaskOverlay();
+        this.render();
+    }
+
+    // While painting, redraw just the painted pixels of the overlay (refined mask as is,
+    // before cleanup); falls back to a full rebuild when there's no overlay to patch
+    updateMaskOverlayRect(rect) {
+        const { width, height, base, edits } = this.maskEdit;
+        const canvas = this.maskOverlay && this.maskOverlay.image === this.image ? this.maskOverlay.canvas : null;
+        if (!canvas || canvas.width !== width || canvas.height !== height) {
+            this.refreshMaskOverlay();
+            return;
+        }
+        if (rect.maxX < rect.minX || rect.maxY < rect.minY) return;
+
+        const rectWidth = rect.maxX - rect.minX + 1;
+        const rectHeight = rect.maxY - rect.minY + 1;
+        const ctx = canvas.getContext('2d');
+        const patch = ctx.createImageData(rectWidth, rectHeight);
+        for (let y = 0; y < rectHeight; y++) {
+            for (let x = 0; x < rectWidth; x++) {
+                const idx = (rect.minY + y) * width + rect.minX + x;
+                const subject = edits[idx] ? edits[idx] > 0 : base[idx];
+                patch.data.set(subject ? [72, 220, 140, 120] : [255, 70, 70, 70], (y * rectWidth + x) * 4);
             }
-            h *= 60;
-            if (h < 0) h += 360;
         }
+        ctx.putImageData(patch, rect.minX, rect.minY);
+        this.render();
+    }
 
-        return { h, s, v };
+    drawMaskBrush() {
+        if (!this.maskCursor || this.maskBrushMode === 'magic') return;
+        this.ctx.beginPath();
+        this.ctx.arc(this.maskCursor.x, this.maskCursor.y, this.maskBrushRadius, 0, Math.PI * 2);
+        this.ctx.strokeStyle = this.maskBrushMode === 'exclude' ? '#ff6b6b' : '#fff';
+        this.ctx.lineWidth = 1;
+        this.ctx.setLineDash(this.maskBrushMode === 'erase' ? [4, 4] : []);
+        this.ctx.stroke();
+        this.ctx.setLineDash([]);
     }
 
-    traceMaskBoundary(mask, width, height) {
+    // ===== MASK TRACING =====
+
+    // Marching squares over the mask; returns every closed outline (normalized)
+    traceMaskLoops(mask, width, height) {
         const segments = [];
 
-        const getValue = (x, y) => mask[y * width + x] ? 1 : 0;
+        // Outside the mask counts as empty so outlines touching the border still close
+        const getValue = (x, y) => (x >= 0 && y >= 0 && x < width && y < height && mask[y * width + x] ? 1 : 0);
 
-        for (let y = 0; y < height - 1; y++) {
-            for (let x = 0; x < width - 1; x++) {
+        for (let y = -1; y < height; y++) {
+            for (let x = -1; x < width; x++) {
                 const tl = getValue(x, y);
                 const tr = getValue(x + 1, y);
                 const br = getValue(x + 1, y + 1);
@@ -1591,7 +6163,7 @@ class LevelEditor {
             }
         }
 
-        return this.connectSegmentsToPolygon(segments, width, height);
+        return this.connectSegmentsToLoops(segments, width, height);
     }
 
     edgePoint(edge, x, y) {
@@ -1609,7 +6181,7 @@ class LevelEditor {
         }
     }
 
-    connectSegmentsToPolygon(segments, width, height) {
+    connectSegmentsToLoops(segments, width, height) {
         if (segments.length === 0) return [];
 
         const nodes = new Map();
@@ -1689,23 +6261,10 @@ class LevelEditor {
             }
         }
 
-        if (loops.length === 0) return [];
-
-        let bestLoop = null;
-        let bestArea = 0;
-        loops.forEach(loop => {
-            const normalized = loop.map(pt => ({
-                x: pt.x / width,
-                y: pt.y / height
-            }));
-            const area = Math.abs(this.polygonArea(normalized));
-            if (area > bestArea) {
-                bestArea = area;
-                bestLoop = normalized;
-            }
-        });
-
-        return bestLoop || [];
+        return loops.map(loop => loop.map(pt => ({
+            x: Math.min(1, Math.max(0, pt.x / width)),
+            y: Math.min(1, Math.max(0, pt.y / height))
+        })));
     }
 
     traceOutline(data, width, height) {
@@ -1800,6 +6359,7 @@ class LevelEditor {
         const list = document.getElementById('pieceList');
         const count = document.getElementById('pieceCount');
         count.textContent = this.pieces.length;
+        this.updateRotationInputs();
 
         if (this.pieces.length === 0) {
             list.innerHTML = `<div style="color: #666; font-size: 0.85rem; padding: 20px; text-align: center;">
@@ -1809,9 +6369,12 @@ class LevelEditor {
         }
 
         list.innerHTML = this.pieces.map((piece, index) => `
-            <div class="piece-item ${index === this.selectedPieceIndex ? 'selected' : ''}" data-index="${index}">
-                <div class="piece-color" style="background: ${piece.color}"></div>
-                <span class="piece-name">${piece.id} (${piece.vertices.length} pts)</span>
+            <div class="piece-item ${this.isPieceSelected(index) ? 'selected' : ''}" data-index="${index}">
+                <div class="piece-color" style="background: ${this.escapeHtml(piece.color)}"></div>
+                <span class="piece-name">${this.escapeHtml(piece.id)} (${piece.vertices.length} pts)</span>
+                <span class="piece-action ${piece.startPosLocked ? 'active' : ''}" data-lock="${index}"
+                    title="${piece.startPosLocked ? 'Unlock start position' : 'Lock start position'}">${piece.startPosLocked ? '🔒' : '🔓'}</span>
+                <span class="piece-action" data-reroll="${index}" title="Re-roll start position">🎲</span>
                 <span class="piece-delete" data-delete="${index}">&times;</span>
             </div>
         `).join('');
@@ -1819,14 +6382,26 @@ class LevelEditor {
         // Add click handlers
         list.querySelectorAll('.piece-item').forEach(item => {
             item.addEventListener('click', (e) => {
-                if (!e.target.classList.contains('piece-delete')) {
-                    this.selectedPieceIndex = parseInt(item.dataset.index);
-                    this.updatePieceList();
-                    this.render();
+                if (!e.target.classList.contains('piece-delete') && !e.target.classList.contains('piece-action')) {
+                    this.selectPiece(parseInt(item.dataset.index), e.shiftKey);
                 }
             });
         });
 
+        list.querySelectorAll('[data-lock]').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.togglePieceLock(parseInt(btn.dataset.lock));
+            });
+        });
+
+        list.querySelectorAll('[data-reroll]').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.rerollStartPos(parseInt(btn.dataset.reroll));
+            });
+        });
+
         list.querySelectorAll('.piece-delete').forEach(btn => {
             btn.addEventListener('click', (e) => {
                 e.stopPropagation();
@@ -1858,42 +6433,90 @@ class LevelEditor {
 
         // Draw image
         if (this.image) {
-            const scaledWidth = this.image.width * this.imageScale;
-            const scaledHeight = this.image.height * this.imageScale;
+            const view = this.getViewTransform();
+            const scaledWidth = this.image.width * view.scale;
+            const scaledHeight = this.image.height * view.scale;
             this.ctx.globalAlpha = this.showFullImage ? 1 : 0.3;
-            this.ctx.drawImage(this.image, this.imageOffsetX, this.imageOffsetY, scaledWidth, scaledHeight);
+            this.ctx.drawImage(this.image, view.offsetX, view.offsetY, scaledWidth, scaledHeight);
             this.ctx.globalAlpha = 1;
+
+            if (this.isMaskOverlayVisible()) {
+                this.drawMaskOverlay();
+            }
         }
 
-        // Draw silhouette
+        // Draw silhouette (all outlines in one path so holes stay unfilled)
         if (this.silhouette.length > 2) {
             this.ctx.beginPath();
-            const first = this.normalizedToCanvas(this.silhouette[0].x, this.silhouette[0].y);
-            this.ctx.moveTo(first.x, first.y);
-            for (let i = 1; i < this.silhouette.length; i++) {
-                const p = this.normalizedToCanvas(this.silhouette[i].x, this.silhouette[i].y);
-                this.ctx.lineTo(p.x, p.y);
-            }
-            this.ctx.closePath();
+            this.getSilhouetteRings().filter(ring => ring.length > 2).forEach(ring => {
+                const first = this.normalizedToCanvas(ring[0].x, ring[0].y);
+                this.ctx.moveTo(first.x, first.y);
+                for (let i = 1; i < ring.length; i++) {
+                    const p = this.normalizedToCanvas(ring[i].x, ring[i].y);
+                    this.ctx.lineTo(p.x, p.y);
+                }
+                this.ctx.closePath();
+            });
             this.ctx.fillStyle = 'rgba(200, 200, 200, 0.3)';
-            this.ctx.fill();
+            this.ctx.fill('evenodd');
             this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
             this.ctx.lineWidth = 2;
             this.ctx.stroke();
         }
 
+        // Play-test mode draws its own pieces and HUD
+        if (this.playMode) {
+            this.drawPlayTest();
+            return;
+        }
+
         // Draw pieces (either in place or scattered based on preview mode)
         this.pieces.forEach((piece, index) => {
             if (this.showScattered) {
                 // Draw at scattered start positions (preview how they'll look in game)
-                const offsetVertices = this.offsetVertices(piece.vertices, piece.startPos);
-                this.drawPolygon(offsetVertices, piece.color, index === this.selectedPieceIndex);
+                this.drawPolygon(this.getStartVertices(piece), piece.color, this.isPieceSelected(index));
             } else {
                 // Draw in place (editing mode)
-                this.drawPolygon(piece.vertices, piece.color, index === this.selectedPieceIndex);
+                this.drawPolygon(piece.vertices, piece.color, this.isPieceSelected(index));
             }
         });
 
+        if (this.showScattered) {
+            this.drawScatterLocks();
+            if (this.currentTool === 'rotate') {
+                this.drawRotationHandle();
+            }
+        }
+
+        // Draw validation problems (gaps, overlaps, bad polygons)
+        if (this.validation && !this.showScattered) {
+            this.drawValidationMarkers();
+        }
+
+        // Draw vertex handles for the vertex tool
+        if (this.currentTool === 'vertex' && !this.showScattered) {
+            this.drawVertexHandles();
+        }
+
+        // Draw the mask brush outline
+        if (this.currentTool === 'mask' && !this.showScattered) {
+            this.drawMaskBrush();
+        }
+
+        // Draw knife cut being dragged
+        if (this.knifeLine) {
+            const start = this.normalizedToCanvas(this.knifeLine.start.x, this.knifeLine.start.y);
+            const end = this.normalizedToCanvas(this.knifeLine.end.x, this.knifeLine.end.y);
+            this.ctx.beginPath();
+            this.ctx.moveTo(start.x, start.y);
+            this.ctx.lineTo(end.x, end.y);
+            this.ctx.strokeStyle = '#ff6b6b';
+            this.ctx.lineWidth = 2;
+            this.ctx.setLineDash([6, 4]);
+            this.ctx.stroke();
+            this.ctx.setLineDash([]);
+        }
+
         // Draw current piece being drawn
         if (this.currentPiece.length > 0) {
             this.ctx.beginPath();
@@ -1918,8 +6541,9 @@ class LevelEditor {
         }
     }
 
-    // Offset vertices to a new center position (for scatter preview)
-    offsetVertices(vertices, newCenter) {
+    // Offset vertices to a new center position (for scatter preview), optionally
+    // rotated about that center by `rotation` degrees
+    offsetVertices(vertices, newCenter, rotation = 0) {
         // Calculate current center
         const minX = Math.min(...vertices.map(v => v.x));
         const maxX = Math.max(...vertices.map(v => v.x));
@@ -1935,10 +6559,11 @@ class LevelEditor {
         const dy = newCenter.y - currentCenter.y;
 
         // Apply offset to all vertices
-        return vertices.map(v => ({
+        const moved = vertices.map(v => ({
             x: v.x + dx,
             y: v.y + dy
         }));
+        return rotation ? moved.map(v => this.rotatePoint(v, newCenter, rotation)) : moved;
     }
 
     drawPolygon(vertices, color, selected = false) {
@@ -1985,34 +6610,45 @@ class LevelEditor {
             theme: worldId === 2 ? "nature_warm" : "pastel_blue"
         };
 
-        // Add imageName if in image mode
-        if (imageMode && this.image) {
-            // Use levelId as image name (user must add image to Xcode assets)
+        // Seed of the last auto-split, so the level can be regenerated
+        if (this.generationSeed !== null) {
+            metadata.seed = this.generationSeed;
+        }
+
+        // Add imageName if in image mode (the image itself may not be loaded for an imported level)
+        if (imageMode) {
+            // Use levelId as image name (exportXcassets writes a matching imageset)
             metadata.imageName = levelId;
         }
 
+        // Carry through metadata from an imported level that the editor doesn't manage
+        Object.assign(metadata, this.extraMetadata);
+
         // Build pieces array
         const pieces = this.pieces.map(piece => {
+            const vertices = piece.vertices.map(v => [
+                parseFloat(v.x.toFixed(3)),
+                parseFloat(v.y.toFixed(3))
+            ]);
+            // Center of the exported (rounded) vertices, so re-importing gives the same value
+            const center = this.calculateCenter(vertices.map(v => ({ x: v[0], y: v[1] })));
             const pieceData = {
                 id: piece.id,
-                vertices: piece.vertices.map(v => [
-                    parseFloat(v.x.toFixed(3)),
-                    parseFloat(v.y.toFixed(3))
-                ]),
+                vertices,
                 startPos: [
                     parseFloat(piece.startPos.x.toFixed(3)),
                     parseFloat(piece.startPos.y.toFixed(3))
                 ],
-                startRotation: 0,
+                startRotation: piece.startRotation || 0,
                 correctPos: [
-                    parseFloat(this.calculateCenter(piece.vertices).x.toFixed(3)),
-                    parseFloat(this.calculateCenter(piece.vertices).y.toFixed(3))
+                    parseFloat(center.x.toFixed(3)),
+                    parseFloat(center.y.toFixed(3))
                 ],
-                correctRotation: 0
+                correctRotation: piece.correctRotation || 0
             };
 
             // Add imageRect for image-based pieces
-            if (imageMode && this.image) {
+            if (imageMode) {
                 const minX = Math.min(...piece.vertices.map(v => v.x));
                 const maxX = Math.max(...piece.vertices.map(v => v.x));
                 const minY = Math.min(...piece.vertices.map(v => v.y));
@@ -2029,28 +6665,479 @@ class LevelEditor {
             return pieceData;
         });
 
+        const toPairs = points => points.map(p => [
+            parseFloat(p.x.toFixed(3)),
+            parseFloat(p.y.toFixed(3))
+        ]);
+        const silhouette = {
+            type: "polygon",
+            points: toPairs(silhouettePoints)
+        };
+
+        // Several regions or holes: every region with its holes; points stays the main
+        // outline for readers that only know plain polygons
+        if (this.silhouette.length > 0 && this.silhouetteLoops.length > 0) {
+            silhouette.type = "multipolygon";
+            silhouette.polygons = this.getSilhouetteRegions().map(region => ({
+                outer: toPairs(region.outer),
+                holes: region.holes.map(toPairs)
+            }));
+        }
+
         const json = {
             version: "1.0",
             id: levelId,
             metadata: metadata,
-            silhouette: {
-                type: "polygon",
-                points: silhouettePoints.map(p => [
-                    parseFloat(p.x.toFixed(3)),
-                    parseFloat(p.y.toFixed(3))
-                ])
-            },
+            silhouette,
             pieces: pieces,
             winConditions: {
-                requiredCoverage: 0.95,
-                snapThreshold: 0.05
+                requiredCoverage: this.requiredCoverage,
+                snapThreshold: this.snapThreshold,
+                ...this.extraWinConditions
             }
         };
 
         return JSON.stringify(json, null, 2);
     }
 
+    // ===== PLAY TEST =====
+
+    togglePlayTest() {
+        if (this.playMode) {
+            this.stopPlayTest();
+        } else {
+            this.startPlayTest();
+        }
+    }
+
+    // Pieces start at startPos/startRotation and snap like in the game (snapThreshold);
+    // the level is solved once they cover requiredCoverage of the silhouette
+    startPlayTest() {
+        if (this.silhouette.length < 3) {
+            alert('Please trace a silhouette first');
+            return;
+        }
+        if (this.pieces.length === 0) {
+            alert('Please create some pieces first');
+            return;
+        }
+
+        if (this.showScattered) this.toggleScatterPreview();
+        this.currentPiece = [];
+        this.knifeLine = null;
+
+        this.playMode = {
+            pieces: this.pieces.map(piece => ({
+                piece,
+                pos: { ...piece.startPos },
+                rotation: piece.startRotation || 0,
+                placed: false
+            })),
+            drag: null,
+            // Taps rotate only when the level uses rotation (or a piece starts rotated)
+            rotatable: this.getRotationMode() !== 'none' || this.pieces.some(piece =>
+                this.normalizeAngle((piece.startRotation || 0) - (piece.correctRotation || 0)) !== 0),
+            moves: 0,
+            coverage: 0,
+            startTime: Date.now(),
+            endTime: null,
+            timer: setInterval(() => this.render(), 1000)
+        };
+        this.playMode.coverage = this.measurePlayCoverage();
+        this.updatePlayButton();
+        this.render();
+    }
+
+    stopPlayTest() {
+        if (!this.playMode) return;
+        clearInterval(this.playMode.timer);
+        this.playMode = null;
+        this.canvas.style.cursor = '';
+        this.updatePlayButton();
+        this.render();
+    }
+
+    updatePlayButton() {
+        const btn = document.getElementById('playTest');
+        if (!btn) return;
+        btn.innerHTML = this.playMode
+            ? `<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <rect x="6" y="6" width="12" height="12"/>
+                </svg>
+                Stop Play Test`
+            : `<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <polygon points="6 4 20 12 6 20 6 4"/>
+                </svg>
+                Play Test`;
+    }
+
+    getPlayVertices(item) {
+        return this.offsetVertices(item.piece.vertices, item.pos, item.rotation - (item.piece.correctRotation || 0));
+    }
+
+    startPlayDrag(x, y) {
+        const play = this.playMode;
+        if (play.endTime) return;
+
+        const point = this.canvasToNormalized(x, y);
+        // Topmost loose piece (snapped pieces stay put)
+        for (let i = play.pieces.length - 1; i >= 0; i--) {
+            const item = play.pieces[i];
+            if (item.placed || !this.pointInPolygon(point, this.getPlayVertices(item))) continue;
+
+            // Bring to front
+            play.pieces.splice(i, 1);
+            play.pieces.push(item);
+            play.drag = {
+                item,
+                offset: { x: item.pos.x - point.x, y: item.pos.y - point.y },
+                startX: x,
+                startY: y,
+                moved: false
+            };
+            this.canvas.style.cursor = 'grabbing';
+            this.render();
+            return;
+        }
+    }
+
+    movePlayDrag(x, y) {
+        const drag = this.playMode.drag;
+        if (!drag) return;
+
+        // Small jitters still count as a tap (which may rotate)
+        if (!drag.moved && Math.hypot(x - drag.startX, y - drag.startY) < 4) return;
+        drag.moved = true;
+
+        const point = this.canvasToNormalized(x, y);
+        drag.item.pos = { x: point.x + drag.offset.x, y: point.y + drag.offset.y };
+        this.render();
+    }
+
+    endPlayDrag() {
+        const play = this.playMode;
+        const drag = play.drag;
+        if (!drag) return;
+        play.drag = null;
+        this.canvas.style.cursor = '';
+
+        const item = drag.item;
+        if (!drag.moved) {
+            // A tap that changes nothing isn't a move
+            if (!play.rotatable) {
+                this.render();
+                return;
+            }
+            // Tap rotates 90° clockwise; a free rotation first straightens to the next 90° step
+            const relative = item.rotation - (item.piece.correctRotation || 0);
+            item.rotation = this.normalizeAngle((Math.floor(relative / 90 + 1e-6) + 1) * 90 + (item.piece.correctRotation || 0));
+        }
+        play.moves++;
+
+        this.trySnapPlayPiece(item);
+        play.coverage = this.measurePlayCoverage();
+
+        if (play.coverage >= this.requiredCoverage && !play.endTime) {
+            play.endTime = Date.now();
+            clearInterval(play.timer);
+        }
+        this.render();
+    }
+
+    // Snap to the solved position when within snapThreshold and at the correct rotation
+    trySnapPlayPiece(item) {
+        const target = this.calculateCenter(item.piece.vertices);
+        const distance = Math.hypot(item.pos.x - target.x, item.pos.y - target.y);
+        const rotationOff = this.normalizeAngle(item.rotation - (item.piece.correctRotation || 0));
+
+        if (distance <= this.snapThreshold && rotationOff === 0) {
+            item.pos = target;
+            item.placed = true;
+        }
+    }
+
+    // Fraction of silhouette sample points covered by any piece as currently placed
+    measurePlayCoverage() {
+        const bounds = this.getSilhouetteBounds();
+        const steps = 60;
+        const stepX = (bounds.maxX - bounds.minX) / steps;
+        const stepY = (bounds.maxY - bounds.minY) / steps;
+        const polygons = this.playMode.pieces.map(item => this.getPlayVertices(item));
+
+        let inside = 0;
+        let covered = 0;
+        for (let i = 0; i < steps; i++) {
+            for (let j = 0; j < steps; j++) {
+                const point = { x: bounds.minX + (i + 0.5) * stepX, y: bounds.minY + (j + 0.5) * stepY };
+                if (!this.pointInSilhouette(point)) continue;
+                inside++;
+                if (polygons.some(polygon => this.pointInPolygon(point, polygon))) covered++;
+            }
+        }
+        return inside > 0 ? covered / inside : 0;
+    }
+
+    drawPlayTest() {
+        const play = this.playMode;
+        play.pieces.forEach(item => {
+            this.drawPolygon(this.getPlayVertices(item), item.piece.color, item === play.drag?.item);
+        });
+
+        // HUD: timer, moves, coverage
+        const elapsed = Math.floor(((play.endTime || Date.now()) - play.startTime) / 1000);
+        const time = `${Math.floor(elapsed / 60)}:${String(elapsed % 60).padStart(2, '0')}`;
+        const placed = play.pieces.filter(item => item.placed).length;
+        const lines = [
+            `⏱ ${time}   Moves: ${play.moves}`,
+            `Coverage ${Math.round(play.coverage * 100)}% / ${Math.round(this.requiredCoverage * 100)}%   Snapped ${placed}/${play.pieces.length}`
+        ];
+
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        this.ctx.fillRect(8, 8, 300, 48);
+        this.ctx.fillStyle = '#fff';
+        this.ctx.font = '13px sans-serif';
+        lines.forEach((line, i) => this.ctx.fillText(line, 16, 28 + i * 18));
+
+        if (play.endTime) {
+            this.ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+            this.ctx.fillRect(0, this.canvasHeight / 2 - 50, this.canvasWidth, 100);
+            this.ctx.fillStyle = '#B3F2B3';
+            this.ctx.font = 'bold 28px sans-serif';
+            this.ctx.textAlign = 'center';
+            this.ctx.fillText('Solved!', this.canvasWidth / 2, this.canvasHeight / 2 - 8);
+            this.ctx.font = '14px sans-serif';
+            this.ctx.fillStyle = '#fff';
+            this.ctx.fillText(`${time} · ${play.moves} moves · Esc to leave`, this.canvasWidth / 2, this.canvasHeight / 2 + 22);
+            this.ctx.textAlign = 'start';
+        }
+    }
+
+    // ===== LEVEL VALIDATION =====
+
+    // Check the level before export: coverage of the silhouette, overlaps and gaps
+    // between pieces, self-intersections, degenerate pieces and duplicate ids.
+    // Coverage, overlaps and gaps are measured on a sample grid over the silhouette.
+    validateLevel() {
+        const issues = [];
+        const markers = { gapCells: [], overlapCells: [], points: [], pieces: [], cellSize: null };
+        const result = { coverage: null, requiredCoverage: this.requiredCoverage, issues, markers };
+
+        if (this.pieces.length === 0) {
+            issues.push({ severity: 'error', message: 'Level has no pieces' });
+        }
+
+        // Duplicate ids
+        const idCounts = new Map();
+        this.pieces.forEach(piece => idCounts.set(piece.id, (idCounts.get(piece.id) || 0) + 1));
+        idCounts.forEach((count, id) => {
+            if (count > 1) {
+                issues.push({ severity: 'error', message: `Duplicate id "${id}" used by ${count} pieces` });
+            }
+        });
+
+        // Degenerate and self-intersecting polygons
+        const validPieces = [];
+        this.pieces.forEach((piece, index) => {
+            if (piece.vertices.length < 3) {
+                issues.push({ severity: 'error', message: `${piece.id} is degenerate (${piece.vertices.length} points)` });
+                markers.pieces.push(index);
+                return;
+            }
+            const crossings = this.findSelfIntersections(piece.vertices);
+            if (crossings.length > 0) {
+                issues.push({ severity: 'error', message: `${piece.id} intersects itself (${crossings.length}×)` });
+                markers.pieces.push(index);
+                markers.points.push(...crossings);
+            } else if (Math.abs(this.polygonArea(piece.vertices)) < 1e-6) {
+                issues.push({ severity: 'error', message: `${piece.id} is degenerate (zero area)` });
+                markers.pieces.push(index);
+                return;
+            }
+            validPieces.push(index);
+        });
+
+        if (this.silhouette.length < 3) {
+            issues.push({ severity: 'warning', message: 'No silhouette traced; coverage was not checked' });
+            return result;
+        }
+        const silhouetteCrossings = this.getSilhouetteRings()
+            .filter(ring => ring.length >= 3)
+            .flatMap(ring => this.findSelfIntersections(ring));
+        if (silhouetteCrossings.length > 0) {
+            issues.push({ severity: 'error', message: `Silhouette intersects itself (${silhouetteCrossings.length}×)` });
+            markers.points.push(...silhouetteCrossings);
+        }
+
+        // Sample the silhouette on a grid and count how many pieces cover each cell
+        const bounds = this.getSilhouetteBounds();
+        const resolution = 160;
+        const cell = Math.max(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY) / resolution;
+        markers.cellSize = cell;
+        const pieceBounds = this.pieces.map(piece => this.getPolygonBounds(piece.vertices));
+        const overlapCounts = new Map();
+        let silhouetteCells = 0;
+        let coveredCells = 0;
+        let overlapCells = 0;
+
+        for (let y = bounds.minY + cell / 2; y < bounds.maxY; y += cell) {
+            for (let x = bounds.minX + cell / 2; x < bounds.maxX; x += cell) {
+                const point = { x, y };
+                if (!this.pointInSilhouette(point)) continue;
+                silhouetteCells++;
+
+                const covering = validPieces.filter(index => {
+                    const b = pieceBounds[index];
+                    return x >= b.minX && x <= b.maxX && y >= b.minY && y <= b.maxY &&
+                        this.pointInPolygon(point, this.pieces[index].vertices);
+                });
+
+                if (covering.length === 0) {
+                    markers.gapCells.push(point);
+                    continue;
+                }
+                coveredCells++;
+                if (covering.length > 1) {
+                    overlapCells++;
+                    markers.overlapCells.push(point);
+                    for (let i = 0; i < covering.length; i++) {
+                        for (let j = i + 1; j < covering.length; j++) {
+                            const key = `${covering[i]}|${covering[j]}`;
+                            overlapCounts.set(key, (overlapCounts.get(key) || 0) + 1);
+                        }
+                    }
+                }
+            }
+        }
+
+        if (silhouetteCells === 0) {
+            issues.push({ severity: 'error', message: 'Silhouette has no area' });
+            return result;
+        }
+
+        result.coverage = coveredCells / silhouetteCells;
+        const percent = (cells) => `${(cells / silhouetteCells * 100).toFixed(1)}%`;
+
+        if (result.coverage < this.requiredCoverage) {
+            issues.push({
+                severity: 'error',
+                message: `Pieces cover ${percent(coveredCells)} of the silhouette (required ${Math.round(this.requiredCoverage * 100)}%)`
+            });
+        }
+
+        const gapCells = silhouetteCells - coveredCells;
+        if (gapCells / silhouetteCells > 0.005) {
+            issues.push({ severity: 'warning', message: `Gaps: ${percent(gapCells)} of the silhouette is not covered by any piece` });
+        }
+
+        // Ignore sliver overlaps from shared edges landing on sample points
+        overlapCounts.forEach((count, key) => {
+            if (count / silhouetteCells <= 0.002) return;
+            const [a, b] = key.split('|').map(Number);
+            issues.push({
+                severity: 'warning',
+                message: `${this.pieces[a].id} overlaps ${this.pieces[b].id} (${percent(count)} of silhouette)`
+            });
+        });
+        if (overlapCells / silhouetteCells <= 0.002) {
+            markers.overlapCells = [];
+        }
+
+        return result;
+    }
+
+    // Crossing points between non-adjacent edges of a polygon
+    findSelfIntersections(vertices) {
+        const crossings = [];
+        const n = vertices.length;
+        for (let i = 0; i < n; i++) {
+            const a1 = vertices[i];
+            const a2 = vertices[(i + 1) % n];
+            for (let j = i + 2; j < n; j++) {
+                if (i === 0 && j === n - 1) continue; // First and last edges share a vertex
+                const b1 = vertices[j];
+                const b2 = vertices[(j + 1) % n];
+                const cross = this.lineIntersection(a1, a2, b1, b2);
+                if (!cross) continue;
+                // Touching at a shared endpoint is not a crossing
+                const isEndpoint = [a1, a2, b1, b2].some(v => this.distanceSquared(v, cross) < 1e-12);
+                if (!isEndpoint) crossings.push(cross);
+            }
+        }
+        return crossings;
+    }
+
+    // Run the validator, highlight problems on the canvas and list them in the given panel
+    runValidation(containerId = 'validationResults') {
+        this.validation = this.validateLevel();
+        this.renderValidationList(this.validation, document.getElementById(containerId));
+        this.render();
+        return this.validation;
+    }
+
+    renderValidationList(result, container) {
+        if (!container) return;
+
+        const summary = result.coverage === null
+            ? ''
+            : `<div class="validation-summary">Coverage ${(result.coverage * 100).toFixed(1)}% ` +
+              `(required ${Math.round(result.requiredCoverage * 100)}%)</div>`;
+
+        if (result.issues.length === 0) {
+            container.innerHTML = summary + '<div class="validation-item ok">✓ No problems found</div>';
+            return;
+        }
+
+        container.innerHTML = summary + result.issues.map(issue => `
+            <div class="validation-item ${issue.severity}">${issue.severity === 'error' ? '✕' : '!'} ${this.escapeHtml(issue.message)}</div>
+        `).join('');
+    }
+
+    drawValidationMarkers() {
+        const markers = this.validation.markers;
+
+        if (markers.cellSize) {
+            const drawCells = (cells, color) => {
+                this.ctx.fillStyle = color;
+                cells.forEach(point => {
+                    const topLeft = this.normalizedToCanvas(point.x - markers.cellSize / 2, point.y - markers.cellSize / 2);
+                    const bottomRight = this.normalizedToCanvas(point.x + markers.cellSize / 2, point.y + markers.cellSize / 2);
+                    this.ctx.fillRect(topLeft.x, topLeft.y, bottomRight.x - topLeft.x, bottomRight.y - topLeft.y);
+                });
+            };
+            drawCells(markers.gapCells, 'rgba(255, 60, 60, 0.6)');
+            drawCells(markers.overlapCells, 'rgba(255, 170, 0, 0.7)');
+        }
+
+        markers.pieces.forEach(index => {
+            const piece = this.pieces[index];
+            if (!piece || piece.vertices.length === 0) return;
+            this.ctx.beginPath();
+            piece.vertices.forEach((v, i) => {
+                const p = this.normalizedToCanvas(v.x, v.y);
+                if (i === 0) this.ctx.moveTo(p.x, p.y);
+                else this.ctx.lineTo(p.x, p.y);
+            });
+            this.ctx.closePath();
+            this.ctx.strokeStyle = '#ff3c3c';
+            this.ctx.lineWidth = 3;
+            this.ctx.setLineDash([6, 4]);
+            this.ctx.stroke();
+            this.ctx.setLineDash([]);
+        });
+
+        markers.points.forEach(point => {
+            const p = this.normalizedToCanvas(point.x, point.y);
+            this.ctx.beginPath();
+            this.ctx.arc(p.x, p.y, 6, 0, Math.PI * 2);
+            this.ctx.strokeStyle = '#ff3c3c';
+            this.ctx.lineWidth = 2;
+            this.ctx.stroke();
+        });
+    }
+
     showExportModal() {
+        // Validate first so problems are visible before the JSON is used
+        this.runValidation('exportWarnings');
         const json = this.generateJson();
         document.getElementById('jsonOutput').textContent = json;
         document.getElementById('exportModal').classList.add('active');
@@ -2128,17 +7215,23 @@ class LevelEditor {
 
         // Mobile toolbar buttons
         const mobileUndo = document.getElementById('mobileUndo');
+        const mobileRedo = document.getElementById('mobileRedo');
         const mobileClear = document.getElementById('mobileClear');
 
         if (mobileUndo) {
             mobileUndo.addEventListener('click', () => this.undo());
         }
 
+        if (mobileRedo) {
+            mobileRedo.addEventListener('click', () => this.redo());
+        }
+
         if (mobileClear) {
             mobileClear.addEventListener('click', () => {
                 if (confirm('Clear all pieces and silhouette?')) {
                     this.saveState();
                     this.silhouette = [];
+                    this.silhouetteLoops = [];
                     this.pieces = [];
                     this.currentPiece = [];
                     this.updatePieceList();
@@ -2274,7 +7367,7 @@ class LevelEditor {
             btn.addEventListener('click', () => {
                 document.querySelectorAll('.tool-btn[data-tool]').forEach(b => b.classList.remove('active'));
                 btn.classList.add('active');
-                this.currentTool = btn.dataset.tool;
+                this.setTool(btn.dataset.tool);
             });
         });
 
@@ -2290,25 +7383,40 @@ class LevelEditor {
         // All other buttons - match by ID
         const buttonMappings = {
             'undoBtn': () => this.undo(),
+            'mergePieces': () => this.mergeSelectedPieces(),
+            'redoBtn': () => this.redo(),
             'traceSilhouette': () => this.autoTraceSilhouette(),
+            'cancelTrace': () => this.cancelTrace(),
             'autoSplit': () => this.autoSplitPieces(),
             'quickGenerate': () => this.quickGenerate(),
             'previewScatter': () => this.toggleScatterPreview(),
+            'rerollScatter': () => this.rerollStartPositions(),
+            'packTray': () => this.packTray(),
+            'randomizeRotations': () => this.randomizeRotations(),
+            'playTest': () => this.togglePlayTest(),
+            'openProjects': () => this.showProjectsModal(),
+            'saveProject': () => this.saveProject(),
+            'saveToStaging': () => this.saveToStaging(),
             'exportPieceImages': () => this.exportPieceImages(),
+            'exportBundle': () => this.exportBundle(),
+            'exportXcassets': () => this.exportXcassets(),
             'clearAll': () => {
                 if (confirm('Clear all pieces and silhouette?')) {
                     this.saveState();
                     this.silhouette = [];
+                    this.silhouetteLoops = [];
                     this.pieces = [];
                     this.currentPiece = [];
                     this.updatePieceList();
                     this.render();
                 }
             },
+            'validateLevel': () => this.runValidation(),
             'exportJson': () => this.showExportModal(),
             'copyJson': () => this.copyToClipboard(),
             'saveToFile': () => this.saveToFile(),
-            'loadMaskImage': () => document.getElementById('maskInput').click()
+            'loadMaskImage': () => document.getElementById('maskInput').click(),
+            'importJson': () => document.getElementById('jsonInput').click()
         };
 
         Object.entries(buttonMappings).forEach(([id, handler]) => {
@@ -2351,10 +7459,28 @@ class LevelEditor {
         const canvas = this.canvas;
         let touchStartX = 0;
         let touchStartY = 0;
+        let tapAddedPoint = false;
 
         // Touch event handlers for canvas
         canvas.addEventListener('touchstart', (e) => {
             e.preventDefault();
+
+            // Second finger down: switch to pinch-zoom / two-finger pan
+            if (e.touches.length >= 2) {
+                if (!this.touchGesture) {
+                    // Drop the point the first finger just added while drawing
+                    if (tapAddedPoint) {
+                        this.currentPiece.pop();
+                        tapAddedPoint = false;
+                    }
+                    this.handleCanvasMouseUp();
+                    this.lastTapTime = 0;
+                }
+                this.startTouchGesture(e.touches);
+                return;
+            }
+            if (this.touchGesture) return;
+
             const touch = e.touches[0];
             const rect = canvas.getBoundingClientRect();
             touchStartX = touch.clientX - rect.left;
@@ -2365,7 +7491,10 @@ class LevelEditor {
                 clientX: touch.clientX,
                 clientY: touch.clientY
             });
+            const pointsBefore = this.currentPiece.length;
             this.handleCanvasClick(clickEvent);
+            tapAddedPoint = this.currentPiece.length > pointsBefore;
+            this.handleCanvasMouseDown(clickEvent);
 
             // Update finish button visibility
             this.updateFinishButton();
@@ -2373,6 +7502,12 @@ class LevelEditor {
 
         canvas.addEventListener('touchmove', (e) => {
             e.preventDefault();
+            if (this.touchGesture) {
+                if (e.touches.length >= 2) {
+                    this.updateTouchGesture(e.touches);
+                }
+                return;
+            }
             const touch = e.touches[0];
 
             // Trigger mousemove equivalent
@@ -2385,6 +7520,17 @@ class LevelEditor {
 
         canvas.addEventListener('touchend', (e) => {
             e.preventDefault();
+            tapAddedPoint = false;
+            if (this.touchGesture) {
+                // Gesture ends once every finger has lifted
+                if (e.touches.length === 0) {
+                    this.touchGesture = null;
+                } else if (e.touches.length >= 2) {
+                    this.startTouchGesture(e.touches);
+                }
+                return;
+            }
+            this.handleCanvasMouseUp();
             // Check for double-tap (within 300ms)
             const now = Date.now();
             if (this.lastTapTime && (now - this.lastTapTime) < 300) {
@@ -2525,7 +7671,9 @@ class LevelEditor {
     }
 }
 
-// Initialize editor when page loads
-document.addEventListener('DOMContentLoaded', () => {
-    window.editor = new LevelEditor();
-});
+// Initialize editor when page loads (trace-worker.js loads this file too, without a document)
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        window.editor = new LevelEditor();
+    });
+}
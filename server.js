@@ -0,0 +1,343 @@
+// Shape Fate Level Editor - local dev server
+// ==========================================
+//
+// Zero-dependency Node server for the editor and the staging folder:
+//
+//   node server.js [--port 8080] [--host 127.0.0.1] [--staging ../../staging]
+//
+// Serves the editor at /, the staging folder at /staging/ and a JSON API. It listens on
+// localhost only unless --host says otherwise, since the API writes to the staging folder.
+//
+//   GET  /api/info                     -> { api, staging }
+//   GET  /api/levels                   -> { levels: [{ id, image, json, world }] }
+//   GET  /api/levels/:id               -> level JSON
+//   PUT  /api/levels/:id               <- level JSON, written to json/<id>.json (and listed
+//                                         in manifest.json, if the folder has one)
+//   PUT  /api/levels/:id/image         <- PNG, written to images/<id>.png
+//   PUT  /api/levels/:id/pieces/:n     <- PNG, written to pieces/<id>_piece_<n>.png
+//
+// The staging folder defaults to the first of ../../staging, ../staging, ./staging
+// that exists (the same layouts the editor probes over plain HTTP).
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const EDITOR_DIR = __dirname;
+const MAX_BODY_BYTES = 50 * 1024 * 1024;
+const LEVEL_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+// The only files served from the editor directory (not .git or anything else in the checkout)
+const EDITOR_FILES = ['index.html', 'editor.js', 'trace-worker.js'];
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.svg': 'image/svg+xml'
+};
+
+// ===== OPTIONS =====
+
+function parseArgs(argv) {
+    const options = { port: 8080, host: '127.0.0.1', staging: null };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') options.port = parseInt(argv[++i], 10);
+        else if (argv[i] === '--host') options.host = argv[++i];
+        else if (argv[i] === '--staging') options.staging = argv[++i];
+        else if (argv[i] === '--help') options.help = true;
+    }
+    return options;
+}
+
+function findStagingDir(configured) {
+    if (configured) return path.resolve(configured);
+
+    const candidates = ['../../staging', '../staging', './staging']
+        .map(candidate => path.resolve(EDITOR_DIR, candidate));
+    return candidates.find(candidate => fs.existsSync(candidate)) || candidates[candidates.length - 1];
+}
+
+// ===== STAGING FOLDER =====
+
+function listFiles(dir, extension) {
+    try {
+        return fs.readdirSync(dir).filter(name => name.toLowerCase().endsWith(extension));
+    } catch (e) {
+        return [];
+    }
+}
+
+// Levels from staging/manifest.json if present, else from images/ and json/
+function listLevels(stagingDir) {
+    const manifestPath = path.join(stagingDir, 'manifest.json');
+    if (fs.existsSync(manifestPath)) {
+        try {
+            const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+            const entries = Array.isArray(manifest) ? manifest : manifest.levels;
+            if (Array.isArray(entries)) {
+                return entries
+                    .map(entry => typeof entry === 'string' ? { id: entry } : entry)
+                    .filter(entry => entry && LEVEL_ID_PATTERN.test(String(entry.id ?? '')))
+                    .map(entry => ({
+                        id: String(entry.id),
+                        image: `/staging/${entry.image || `images/${entry.id}.png`}`,
+                        json: `/api/levels/${entry.id}`,
+                        world: entry.world ?? null
+                    }));
+            }
+        } catch (e) {
+            console.warn(`Ignoring unreadable manifest: ${e.message}`);
+        }
+    }
+
+    const ids = new Set([
+        ...listFiles(path.join(stagingDir, 'images'), '.png').map(name => name.slice(0, -4)),
+        ...listFiles(path.join(stagingDir, 'json'), '.json').map(name => name.slice(0, -5))
+    ]);
+
+    return [...ids].filter(id => LEVEL_ID_PATTERN.test(id)).map(id => {
+        const jsonPath = path.join(stagingDir, 'json', `${id}.json`);
+        const hasImage = fs.existsSync(path.join(stagingDir, 'images', `${id}.png`));
+        let world = null;
+        if (fs.existsSync(jsonPath)) {
+            try {
+                world = JSON.parse(fs.readFileSync(jsonPath, 'utf8')).metadata?.world ?? null;
+            } catch (e) {
+                // Unreadable JSON still shows up in the list
+            }
+        }
+        return {
+            id,
+            image: hasImage ? `/staging/images/${id}.png` : null,
+            json: fs.existsSync(jsonPath) ? `/api/levels/${id}` : null,
+            world
+        };
+    });
+}
+
+// Add a saved level to manifest.json (if there is one), which otherwise hides it from the list
+function addToManifest(stagingDir, levelId, world) {
+    const manifestPath = path.join(stagingDir, 'manifest.json');
+    if (!fs.existsSync(manifestPath)) return;
+
+    let manifest;
+    try {
+        manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    } catch (e) {
+        console.warn(`Not updating unreadable manifest: ${e.message}`);
+        return;
+    }
+    const entries = Array.isArray(manifest) ? manifest : manifest && manifest.levels;
+    if (!Array.isArray(entries)) return;
+    if (entries.some(entry => (typeof entry === 'string' ? entry : entry && String(entry.id)) === levelId)) return;
+
+    // Match the manifest's own form: plain ids or { id, world } entries
+    entries.push(entries.length > 0 && entries.every(entry => typeof entry === 'string')
+        ? levelId
+        : { id: levelId, world: world ?? null });
+    writeFileAtomic(manifestPath, JSON.stringify(manifest, null, 2));
+}
+
+// Write via a temp file so a failed request never leaves a half-written level
+function writeFileAtomic(filePath, data) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.tmp-${process.pid}`;
+    fs.writeFileSync(tempPath, data);
+    fs.renameSync(tempPath, filePath);
+}
+
+// ===== HTTP =====
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': MIME_TYPES['.json'], 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+function isPng(buffer) {
+    return buffer.length > 8 && buffer.readUInt32BE(0) === 0x89504e47;
+}
+
+function parsePathname(url) {
+    try {
+        return new URL(url, 'http://localhost').pathname;
+    } catch (e) {
+        throw Object.assign(new Error('Malformed URL'), { status: 400 });
+    }
+}
+
+function decodePath(urlPath) {
+    try {
+        return decodeURIComponent(urlPath);
+    } catch (e) {
+        throw Object.assign(new Error('Malformed URL'), { status: 400 });
+    }
+}
+
+// Serve a file from root without letting the URL escape it
+function serveStatic(res, root, urlPath) {
+    const filePath = path.join(root, decodePath(urlPath));
+    if (filePath !== root && !filePath.startsWith(root + path.sep)) {
+        sendJson(res, 403, { error: 'Forbidden' });
+        return;
+    }
+
+    fs.stat(filePath, (err, stats) => {
+        if (!err && stats.isDirectory()) {
+            serveStatic(res, root, path.posix.join(urlPath, 'index.html'));
+            return;
+        }
+        if (err) {
+            sendJson(res, 404, { error: 'Not found' });
+            return;
+        }
+        res.writeHead(200, {
+            'Content-Type': MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+            'Cache-Control': 'no-store'
+        });
+        fs.createReadStream(filePath).pipe(res);
+    });
+}
+
+async function handleApi(req, res, stagingDir, parts) {
+    // parts: path segments after /api
+    if (parts[0] === 'info' && req.method === 'GET') {
+        sendJson(res, 200, { api: 'shape-fate-level-editor', version: 1, staging: stagingDir });
+        return;
+    }
+
+    if (parts[0] !== 'levels') {
+        sendJson(res, 404, { error: 'Unknown API endpoint' });
+        return;
+    }
+
+    if (parts.length === 1 && req.method === 'GET') {
+        sendJson(res, 200, { levels: listLevels(stagingDir) });
+        return;
+    }
+
+    const levelId = parts[1];
+    if (!LEVEL_ID_PATTERN.test(levelId || '')) {
+        sendJson(res, 400, { error: 'Invalid level id' });
+        return;
+    }
+    const jsonPath = path.join(stagingDir, 'json', `${levelId}.json`);
+
+    if (parts.length === 2 && req.method === 'GET') {
+        if (!fs.existsSync(jsonPath)) {
+            sendJson(res, 404, { error: `No JSON for ${levelId}` });
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': MIME_TYPES['.json'], 'Cache-Control': 'no-store' });
+        fs.createReadStream(jsonPath).pipe(res);
+        return;
+    }
+
+    if (req.method !== 'PUT') {
+        sendJson(res, 405, { error: 'Method not allowed' });
+        return;
+    }
+
+    const body = await readBody(req);
+
+    if (parts.length === 2) {
+        let level;
+        try {
+            level = JSON.parse(body.toString('utf8'));
+        } catch (e) {
+            sendJson(res, 400, { error: `Invalid JSON: ${e.message}` });
+            return;
+        }
+        writeFileAtomic(jsonPath, body);
+        addToManifest(stagingDir, levelId, level?.metadata?.world);
+        sendJson(res, 200, { saved: `json/${levelId}.json` });
+        return;
+    }
+
+    if (!isPng(body)) {
+        sendJson(res, 400, { error: 'Expected a PNG body' });
+        return;
+    }
+
+    if (parts.length === 3 && parts[2] === 'image') {
+        writeFileAtomic(path.join(stagingDir, 'images', `${levelId}.png`), body);
+        sendJson(res, 200, { saved: `images/${levelId}.png` });
+        return;
+    }
+
+    const pieceNumber = parseInt(parts[3], 10);
+    if (parts.length === 4 && parts[2] === 'pieces' && pieceNumber > 0 && String(pieceNumber) === parts[3]) {
+        const name = `${levelId}_piece_${pieceNumber}.png`;
+        writeFileAtomic(path.join(stagingDir, 'pieces', name), body);
+        sendJson(res, 200, { saved: `pieces/${name}` });
+        return;
+    }
+
+    sendJson(res, 404, { error: 'Unknown API endpoint' });
+}
+
+function createServer(stagingDir) {
+    return http.createServer(async (req, res) => {
+        let pathname = req.url;
+        try {
+            pathname = parsePathname(req.url);
+            if (pathname === '/api' || pathname.startsWith('/api/')) {
+                await handleApi(req, res, stagingDir, pathname.split('/').filter(Boolean).slice(1));
+            } else if (pathname === '/staging' || pathname.startsWith('/staging/')) {
+                serveStatic(res, stagingDir, pathname.slice('/staging'.length) || '/');
+            } else {
+                const name = pathname === '/' ? 'index.html' : decodePath(pathname.slice(1));
+                if (EDITOR_FILES.includes(name)) {
+                    serveStatic(res, EDITOR_DIR, name);
+                } else {
+                    sendJson(res, 404, { error: 'Not found' });
+                }
+            }
+        } catch (error) {
+            if (!error.status) console.error(`${req.method} ${pathname} failed:`, error);
+            if (!res.headersSent) sendJson(res, error.status || 500, { error: error.message });
+        }
+    });
+}
+
+if (require.main === module) {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+        console.log('Usage: node server.js [--port 8080] [--host 127.0.0.1] [--staging <dir>]');
+        process.exit(0);
+    }
+
+    const stagingDir = findStagingDir(options.staging);
+    if (!fs.existsSync(stagingDir)) {
+        console.warn(`Staging folder ${stagingDir} does not exist yet; it is created on the first save.`);
+    }
+
+    createServer(stagingDir).listen(options.port, options.host, () => {
+        console.log(`Level editor: http://${options.host}:${options.port}/`);
+        console.log(`Staging:      ${stagingDir}`);
+    });
+}
+
+module.exports = { createServer, listLevels };
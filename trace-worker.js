@@ -0,0 +1,26 @@
+// Shape Fate Level Editor - trace worker
+// ======================================
+//
+// Runs LevelEditor.traceJob() off the UI thread. editor.js is loaded for its methods only;
+// no editor is constructed here, the settings arrive with each job.
+//
+//   <- { id, job, settings }
+//   -> { id, type: 'progress', stage, fraction }
+//   -> { id, type: 'done', result }
+//   -> { id, type: 'error', error }
+
+importScripts('editor.js');
+
+self.onmessage = (e) => {
+    const { id, job, settings } = e.data;
+    const tracer = Object.assign(Object.create(LevelEditor.prototype), settings);
+
+    try {
+        const result = tracer.traceJob(job, (stage, fraction) => {
+            self.postMessage({ id, type: 'progress', stage, fraction });
+        });
+        self.postMessage({ id, type: 'done', result });
+    } catch (error) {
+        self.postMessage({ id, type: 'error', error: error.message });
+    }
+};